@@ -8,8 +8,15 @@ import simulateRouter from './routes/simulate.js';
 import voiceRouter from './routes/voice.js';
 import remindersRouter from './routes/reminders.js';
 import vapiToolsRouter from './routes/vapiTools.js';
+import assetsRouter from './routes/assets.js';
+import mtlRouter from './routes/mtl.js';
 import { reconcileUnpromotedRules } from './services/corrections.js';
 import { startReminderChecker } from './services/reminderScheduler.js';
+import { startDeliveryRetryChecker } from './services/deliveryRetry.js';
+import { startScheduledSendChecker } from './services/scheduledSend.js';
+import { startMtlOutboxDispatcher } from './services/mtlOutbox.js';
+import { startFollowUpChecker } from './services/followUps.js';
+import { isLocalStorage, getLocalMediaDir } from './services/mediaStorage.js';
 
 const logger = createLogger('server');
 const app = express();
@@ -30,12 +37,21 @@ app.use('/voice/mode', express.json());
 app.use('/reminders', express.json());
 // JSON for Vapi tool call webhooks
 app.use('/vapi', express.json());
+// JSON with base64 file uploads for the MMS attachment library
+app.use('/assets', express.json({ limit: '8mb' }));
+// Keep the raw body so the MTL webhook signature can be verified
+app.use('/mtl', express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Local media backend (development) -- Supabase storage uses signed URLs instead
+if (isLocalStorage()) {
+  app.use('/media', express.static(getLocalMediaDir()));
+}
+
 // Routes
 app.use('/incoming', incomingRouter);
 app.use('/status', statusRouter);
@@ -45,6 +61,8 @@ app.use('/simulate', simulateRouter);
 app.use('/voice', voiceRouter);
 app.use('/reminders', remindersRouter);
 app.use('/vapi', vapiToolsRouter);
+app.use('/assets', assetsRouter);
+app.use('/mtl', mtlRouter);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -68,4 +86,28 @@ app.listen(PORT, () => {
     startReminderChecker();
     logger.info('Reminder checker started');
   }, 10000);
+
+  // Start delivery retry checker after startup settles
+  setTimeout(() => {
+    startDeliveryRetryChecker();
+    logger.info('Delivery retry checker started');
+  }, 10000);
+
+  // Start scheduled send checker after startup settles
+  setTimeout(() => {
+    startScheduledSendChecker();
+    logger.info('Scheduled send checker started');
+  }, 10000);
+
+  // Start MTL outbox dispatcher after startup settles
+  setTimeout(() => {
+    startMtlOutboxDispatcher();
+    logger.info('MTL outbox dispatcher started');
+  }, 10000);
+
+  // Start follow-up checker after startup settles
+  setTimeout(() => {
+    startFollowUpChecker();
+    logger.info('Follow-up checker started');
+  }, 10000);
 });
@@ -1,16 +1,32 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { createLogger } from '../utils/logger.js';
-import { getMessage, approveMessage, rejectMessage, markMessageSent } from '../services/supabase.js';
-import { sendSMS } from '../services/twilio.js';
-import { answerCallback, updateMessage, sendMessage } from '../services/telegram.js';
-import { applyMenuChange, sendInboundSms } from '../services/mtlApi.js';
-import { getPendingAction, clearPendingAction } from '../services/pendingActions.js';
+import { getMessage, approveMessage, rejectMessage, saveWorkingDraft, updateMessageMedia, addTelegramMessageId, findMessageByTelegramId, listPendingDrafts, getLatestInboundByConversation, getConversationThread } from '../services/supabase.js';
+import { searchClientContext } from '../services/mem0.js';
+import { listConversationEvents } from '../services/mtlWebhook.js';
+import { deliverMessage } from '../services/deliveryRetry.js';
+import { acknowledgeReminder } from '../services/reminderScheduler.js';
+import { answerCallback, updateMessage, sendMessage, sendForceReply, buildApprovalKeyboard, buildScheduledKeyboard } from '../services/telegram.js';
+import { isQuietHours, nextSendWindow, describeQuietHours, getSendPresets, resolveSendAt, formatSendTime, scheduleMessage, cancelScheduledSend, sendScheduledNow } from '../services/scheduledSend.js';
+import { syncOutboundSms } from '../services/mtlOutbox.js';
+import { getPendingAction, getPendingActions, clearPendingAction, applyPendingAction, holdPendingAction, renewPendingAction, discardPendingAction, expiredActionError, selectPendingOperations, resolveAmbiguousAction } from '../services/pendingActions.js';
+import { MENU_BATCH_ACTION, MENU_AMBIGUOUS_ACTION, applyOperationsToMenu, describeCandidate } from '../services/menuChanges.js';
 import { storeCorrection } from '../services/corrections.js';
+import { getMediaUrl } from '../services/mediaStorage.js';
+import { listAssets, getAssetsByIds, toMediaEntries } from '../services/mediaAssets.js';
+import { isApprovalLinkConfigured, verifyApprovalToken, revokeApprovalLinks, createApprovalLink, createQueueLink, QUEUE_SUBJECT } from '../services/approvalLinks.js';
+import { validateApiKey } from '../utils/validation.js';
+import { getAutoSendPolicy, updateAutoSendPolicy, parsePolicyChanges } from '../services/autoSendPolicy.js';
+import { describeLeadProfile, getMissingLeadFields } from '../services/leadProfile.js';
+import { calculateQuote, formatQuoteText } from '../services/quoteCalculator.js';
+import { rewriteDraftFromCorrections } from '../services/claude.js';
+import { LANGUAGES, detectLanguage, setPreferredLanguage } from '../services/language.js';
 
 const router = Router();
 const logger = createLogger('approval');
 
+const ASHLEY_TZ = 'America/Toronto';
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
@@ -45,6 +61,24 @@ router.post('/', telegramAuth, async (req, res) => {
       return res.json({ ok: true });
     }
 
+    // /queue -- reply with a signed link to the approval queue dashboard
+    if (update.message?.text && /^\/queue(@\w+)?\b/.test(update.message.text.trim())) {
+      await handleQueueCommand(update.message);
+      return res.json({ ok: true });
+    }
+
+    // /autosend [on|off] -- show or flip the auto-send kill switch
+    if (update.message?.text && /^\/autosend(@\w+)?\b/.test(update.message.text.trim())) {
+      await handleAutoSendCommand(update.message);
+      return res.json({ ok: true });
+    }
+
+    // Handle replies to approval messages (inline edits)
+    if (update.message?.reply_to_message) {
+      await handleEditReply(update.message);
+      return res.json({ ok: true });
+    }
+
     res.json({ ok: true });
 
   } catch (error) {
@@ -53,14 +87,42 @@ router.post('/', telegramAuth, async (req, res) => {
   }
 });
 
+// Only the configured approval chat may act on drafts
+function isApprovalChat(chat) {
+  return String(chat?.id) === String(process.env.TELEGRAM_CHAT_ID);
+}
+
+// Callback actions that act on a scheduled send rather than a pending draft
+const SCHEDULED_ACTIONS = ['sendnow', 'unschedule'];
+
 async function handleCallbackQuery(callbackQuery) {
   const { id: callbackId, data, message: telegramMessage } = callbackQuery;
-  const [action, messageId] = data.split(':');
+  const [action, messageId, option] = data.split(':');
 
   logger.info({ action, messageId }, 'Callback received');
 
+  if (!isApprovalChat(telegramMessage?.chat)) {
+    logger.warn({ chatId: telegramMessage?.chat?.id }, 'Callback from unexpected chat ignored');
+    await answerCallback(callbackId);
+    return;
+  }
+
+  // "Got it" on a reminder to Ashley (the ID is a reminder, not a draft)
+  if (action === 'ack') {
+    await handleReminderAck(messageId, callbackId, telegramMessage);
+    return;
+  }
+
+  // Guard against double taps and drafts already handled on the web page
+  const dbMessage = await getMessage(messageId);
+  const expectedStatus = SCHEDULED_ACTIONS.includes(action) ? 'scheduled' : 'pending_approval';
+  if (dbMessage && dbMessage.status !== expectedStatus) {
+    await answerCallback(callbackId, `Already ${dbMessage.status}`);
+    return;
+  }
+
   // Acknowledge the callback immediately
-  await answerCallback(callbackId);
+  await answerCallback(callbackId, action === 'edit' ? 'Reply with the new text' : '');
 
   switch (action) {
     case 'approve':
@@ -69,30 +131,341 @@ async function handleCallbackQuery(callbackQuery) {
     case 'reject':
       await handleReject(messageId, telegramMessage);
       break;
+    case 'edit':
+      await handleEditRequest(messageId, telegramMessage);
+      break;
+    case 'schedule':
+      await handleSchedule(messageId, option, telegramMessage);
+      break;
+    case 'sendnow':
+      await sendScheduledNow(messageId);
+      break;
+    case 'unschedule':
+      await handleUnschedule(messageId, telegramMessage);
+      break;
     default:
       logger.warn({ action }, 'Unknown callback action');
   }
 }
 
-async function getLastInboundContext(conversationId) {
-  if (!conversationId) return undefined;
+async function handleReminderAck(reminderId, callbackId, telegramMessage) {
+  const reminder = await acknowledgeReminder(reminderId, 'telegram');
+  await answerCallback(callbackId, reminder ? 'Got it' : 'Reminder not found');
+  if (reminder) {
+    await updateMessage(telegramMessage.message_id, `✅ Reminder: ${escapeHtml(reminder.message)}`);
+  }
+}
+
+async function handleQueueCommand(telegramMessage) {
+  if (!isApprovalChat(telegramMessage.chat)) {
+    logger.warn({ chatId: telegramMessage.chat?.id }, 'Queue command from unexpected chat ignored');
+    return;
+  }
+
+  const drafts = await listPendingDrafts();
+  const count = drafts.length === 1 ? '1 draft' : `${drafts.length} drafts`;
+  await sendMessage(`<b>Approval queue:</b> ${count} pending\n<a href="${escapeHtml(createQueueLink())}">Open queue</a>`);
+}
+
+async function handleAutoSendCommand(telegramMessage) {
+  if (!isApprovalChat(telegramMessage.chat)) {
+    logger.warn({ chatId: telegramMessage.chat?.id }, 'Auto-send command from unexpected chat ignored');
+    return;
+  }
+
+  const arg = telegramMessage.text.trim().split(/\s+/)[1]?.toLowerCase();
+  const policy = arg === 'on' || arg === 'off'
+    ? await updateAutoSendPolicy({ enabled: arg === 'on' })
+    : await getAutoSendPolicy();
+
+  await sendMessage(`<b>Auto-send:</b> ${policy.enabled ? 'ON' : 'OFF'}\n`
+    + `Min score ${policy.minScore}, hold ${policy.holdMinutes} min\n`
+    + `Categories: ${escapeHtml(policy.categories.join(', ') || 'none')}\n`
+    + '<i>/autosend on or /autosend off to change</i>');
+}
+
+async function getLastInbound(conversationId) {
+  if (!conversationId) return null;
   try {
     const { data } = await supabase
       .from('sms_messages')
-      .select('body')
+      .select('body, media_urls')
       .eq('conversation_id', conversationId)
       .eq('direction', 'inbound')
       .order('created_at', { ascending: false })
       .limit(1)
       .maybeSingle();
-    return data?.body || undefined;
+    return data || null;
   } catch (err) {
     logger.warn({ err, conversationId }, 'Failed to look up inbound context');
-    return undefined;
+    return null;
+  }
+}
+
+async function getLastInboundContext(conversationId) {
+  const inbound = await getLastInbound(conversationId);
+  return inbound?.body || undefined;
+}
+
+function renderAttachmentPicker(assets) {
+  if (!assets || assets.length === 0) return '';
+
+  const byCategory = {};
+  for (const asset of assets) {
+    const category = asset.category || 'general';
+    if (!byCategory[category]) byCategory[category] = [];
+    byCategory[category].push(asset);
   }
+
+  const groups = Object.entries(byCategory).map(([category, items]) => {
+    const options = items.map(asset =>
+      `<label class="attach-option"><input type="checkbox" name="attachments" value="${escapeHtml(asset.id)}"> ${escapeHtml(asset.name)}</label>`
+    ).join('');
+    return `<div class="attach-group"><div class="attach-category">${escapeHtml(category)}</div>${options}</div>`;
+  }).join('');
+
+  return `<details class="attachments"><summary>Attach files (MMS)</summary>${groups}</details>`;
 }
 
-async function sendApprovedSms(messageId, body, telegramMessageId, isEdit) {
+// Checkbox values from a form post (one value arrives as a string)
+function parseCheckedValues(value) {
+  if (!value) return [];
+  const ids = Array.isArray(value) ? value : [value];
+  return ids.filter(id => typeof id === 'string' && id.length > 0);
+}
+
+async function renderMediaHtml(media) {
+  if (!Array.isArray(media) || media.length === 0) return '';
+
+  const items = await Promise.all(media.map(async (item) => {
+    const url = await getMediaUrl(item).catch(() => null);
+    const caption = item.description ? `<div class="media-caption">${escapeHtml(item.description)}</div>` : '';
+    if (!url) {
+      return `<div class="media-item"><div class="media-missing">${escapeHtml(item.contentType || 'attachment')} unavailable</div>${caption}</div>`;
+    }
+    const preview = item.contentType?.startsWith('image/')
+      ? `<img src="${escapeHtml(url)}" alt="">`
+      : `<div class="media-missing">Open ${escapeHtml(item.contentType || 'attachment')}</div>`;
+    return `<div class="media-item"><a href="${escapeHtml(url)}" target="_blank" rel="noopener">${preview}</a>${caption}</div>`;
+  }));
+
+  return `<div class="label">Attachments</div><div class="media-grid">${items.join('')}</div>`;
+}
+
+const ACTION_STATES = {
+  pending: 'Applies when approved',
+  applied: 'Applied',
+  failed: 'Failed',
+  expired: 'Expired, not applied. Re-confirm or discard it before sending',
+  declined: 'All changes declined, nothing applied',
+  ambiguous: 'Waiting to know which event',
+  resolved: 'Resolved by the client\'s reply'
+};
+
+/**
+ * Pending menu action box with its state (pending, applied, failed, expired, declined).
+ * With selectable (approval page), a batch also gets a menu preview and, until it is
+ * applied, an accept checkbox per operation tied to formId.
+ */
+function renderActionHtml(action, fallbackSummary, { selectable = false, formId = '' } = {}) {
+  const summary = action?.summary || fallbackSummary;
+  if (!summary) return '';
+
+  let state = '';
+  if (action) {
+    state = `<div class="action-state action-${escapeHtml(action.status)}">${ACTION_STATES[action.status] || escapeHtml(action.status)}`
+      + (action.status === 'failed' && action.error ? `: ${escapeHtml(action.error)} (approve again to retry)` : '')
+      + '</div>';
+    if (selectable && action.status === 'expired' && action.type !== MENU_AMBIGUOUS_ACTION) {
+      state += `<button type="submit" name="action" value="renew_action" form="${formId}" class="btn-preview">Re-confirm change</button> `
+        + `<button type="submit" name="action" value="discard_action" form="${formId}" class="btn-preview">Discard change</button>`;
+    }
+  }
+
+  if (action?.type === MENU_AMBIGUOUS_ACTION) {
+    const candidates = action.payload?.candidates || [];
+    const picker = selectable && action.status === 'ambiguous'
+      ? `<select name="eventChoice" form="${formId}" class="send-at-select">`
+        + candidates.map((c, i) => `<option value="${i}">${escapeHtml(describeCandidate(c))}</option>`).join('')
+        + '</select>'
+        + `<button type="submit" name="action" value="pick_event" form="${formId}" class="btn-preview">Use this event</button>`
+      : '';
+    return `<div class="context-box"><div class="heading">Which Event?</div>${escapeHtml(summary)}${picker}${state}</div>`;
+  }
+
+  const operations = action?.type === MENU_BATCH_ACTION ? action.payload?.operations || [] : [];
+  if (operations.length === 0) {
+    return `<div class="context-box"><div class="heading">Pending Action</div>${escapeHtml(summary)}${state}</div>`;
+  }
+
+  const editable = selectable && (action.status === 'pending' || action.status === 'failed');
+  const items = operations.map(op => editable && !op.applied
+    ? `<label class="menu-op"><input type="checkbox" name="acceptOps" value="${op.id}" form="${formId}"${op.accepted !== false ? ' checked' : ''}> ${escapeHtml(op.summary)}</label>`
+    : `<div class="menu-op${op.accepted === false ? ' menu-op-declined' : ''}">${op.accepted === false ? '✗' : '✓'} ${escapeHtml(op.summary)}${op.applied ? ' (applied)' : ''}</div>`
+  ).join('');
+  const controls = editable
+    ? `<input type="hidden" name="opsSelection" value="1" form="${formId}">`
+      + `<button type="submit" name="action" value="preview_ops" form="${formId}" class="btn-preview">Update preview</button>`
+    : '';
+
+  const picked = action.payload.pickedEvent
+    ? `<div class="action-state">Event: ${escapeHtml(action.payload.pickedEvent)}`
+      + (action.payload.pickedOnApproval ? ' (picked here; the draft was written before, check it still fits)' : '')
+      + '</div>'
+    : '';
+
+  return `<div class="context-box"><div class="heading">Pending Menu Changes</div>${items}${controls}${picked}${state}</div>`
+    + (selectable ? renderMenuDiffHtml(action.payload.currentMenu, operations) : '');
+}
+
+/**
+ * Full menu before and after the accepted operations
+ */
+function renderMenuDiffHtml(currentMenu, operations) {
+  if (!Array.isArray(currentMenu)) {
+    return '<div class="context-box"><div class="heading">Menu Preview</div>The MTL app did not send the current menu.</div>';
+  }
+
+  const after = applyOperationsToMenu(currentMenu, operations);
+  const has = (list, name) => list.some(item => item.toLowerCase() === name.toLowerCase());
+  const before = currentMenu.map(name =>
+    `<div class="${has(after, name) ? '' : 'diff-del'}">${escapeHtml(name)}</div>`).join('');
+  const afterHtml = after.map(name =>
+    `<div class="${has(currentMenu, name) ? '' : 'diff-add'}">${escapeHtml(name)}</div>`).join('');
+
+  return `<div class="context-box"><div class="heading">Menu Preview</div><div class="menu-diff">`
+    + `<div><div class="label">Before</div>${before || '<em>Empty</em>'}</div>`
+    + `<div><div class="label">After</div>${afterHtml || '<em>Empty</em>'}</div>`
+    + '</div></div>';
+}
+
+/**
+ * "What we know so far": the rolling conversation summary and the lead profile the
+ * drafts are given, plus what is still missing
+ */
+function renderKnownSoFarHtml(conversation) {
+  const profile = conversation.lead_profile;
+  const known = describeLeadProfile(profile);
+  const missing = getMissingLeadFields(profile);
+  const summaryHtml = conversation.summary
+    ? `<div class="memories">${escapeHtml(conversation.summary)}</div>`
+    : '';
+  const knownHtml = known.length > 0 ? known.map(escapeHtml).join('<br>') : (summaryHtml ? '' : 'Nothing yet.');
+  const missingHtml = missing.length > 0
+    ? `<div class="action-state action-failed">Missing: ${escapeHtml(missing.join(', '))}</div>`
+    : '<div class="action-state action-applied">All details collected</div>';
+  const updated = conversation.summary_updated_at
+    ? `<div class="label">Summary updated ${escapeHtml(formatTimestamp(conversation.summary_updated_at))}</div>`
+    : '';
+  return `<div class="context-box"><div class="heading">What We Know So Far</div>${summaryHtml}${knownHtml}${missingHtml}${updated}</div>`;
+}
+
+/**
+ * Itemized estimate from the lead profile, with a button that appends it to the draft
+ */
+function renderQuoteHtml(profile, formId) {
+  const quote = calculateQuote(profile);
+  if (quote.error) {
+    return `<div class="context-box"><div class="heading">Quote Estimate</div>${escapeHtml(quote.error)}</div>`;
+  }
+
+  const from = estimated => estimated ? 'from ' : '';
+  const lines = quote.lines.map(line => `${escapeHtml(line.label)}: ${from(line.estimated)}$${line.amount}`).join('<br>');
+  const assumptions = quote.assumptions.length > 0
+    ? `<div class="action-state action-failed">Assumes ${escapeHtml(quote.assumptions.join('; '))}</div>`
+    : '';
+  return `<div class="context-box"><div class="heading">Quote Estimate</div>${lines}`
+    + `<br><b>Total: ${from(quote.estimated)}$${quote.subtotal}</b> (before taxes) &mdash; deposit ${from(quote.estimated)}$${quote.deposit}${assumptions}`
+    + `<button type="submit" name="action" value="insert_quote" form="${formId}" class="btn-preview">Insert into reply</button></div>`;
+}
+
+/**
+ * The conversation's reply language, with a picker to pin it or go back to detection
+ */
+function renderLanguageHtml(conversation, detection, formId) {
+  const lang = conversation.preferred_language;
+  let current = 'Not detected yet (English by default)';
+  if (lang && conversation.language_source === 'manual') {
+    current = `${LANGUAGES[lang]} (set manually)`;
+  } else if (lang) {
+    const confidence = conversation.language_confidence;
+    current = `${LANGUAGES[lang]} (detected${confidence != null ? `, ${Math.round(confidence * 100)}%` : ''})`;
+  }
+  const mixed = detection?.mixed
+    ? '<div class="action-state action-failed">Their last message mixes French and English</div>'
+    : '';
+
+  const selected = conversation.language_source === 'manual' ? lang : 'auto';
+  const options = [['auto', 'Auto-detect'], ...Object.entries(LANGUAGES)]
+    .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+    .join('');
+
+  return `<div class="context-box"><div class="heading">Reply Language</div>${escapeHtml(current)}${mixed}`
+    + `<div><select name="replyLanguage" form="${formId}">${options}</select> `
+    + `<button type="submit" name="action" value="set_language" form="${formId}" class="btn-preview">Set language</button></div></div>`;
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: ASHLEY_TZ
+  });
+}
+
+/**
+ * Render the conversation thread, inbound and outbound, oldest first.
+ * The draft being reviewed is skipped (it is in the form); rejected drafts,
+ * other pending drafts and the original text of edited replies are collapsed.
+ */
+function renderThreadHtml(thread, currentMessageId) {
+  const items = thread.filter(m => m.id !== currentMessageId).map(m => {
+    const time = `<div class="thread-time">${escapeHtml(formatTimestamp(m.created_at))}</div>`;
+    const attachments = Array.isArray(m.media_urls) && m.media_urls.length > 0
+      ? `<div class="thread-note">📎 ${m.media_urls.length} attachment${m.media_urls.length === 1 ? '' : 's'}</div>`
+      : '';
+
+    if (m.direction === 'inbound') {
+      return `<div class="thread-msg thread-in">${escapeHtml(m.body || '')}${attachments}${time}</div>`;
+    }
+
+    if (m.status === 'rejected' || m.status === 'pending_approval') {
+      const label = m.status === 'rejected' ? 'Rejected draft' : 'Pending draft';
+      return `<details class="thread-draft"><summary>${label} &middot; ${escapeHtml(formatTimestamp(m.created_at))}</summary><div class="thread-body">${escapeHtml(m.draft_body || '')}</div></details>`;
+    }
+
+    const edited = m.draft_body && m.body && m.draft_body.trim() !== m.body.trim()
+      ? `<details class="thread-draft"><summary>Edited &middot; original draft</summary><div class="thread-body">${escapeHtml(m.draft_body)}</div></details>`
+      : '';
+    const label = m.metadata?.auto_response ? '<div class="thread-note">Automatic reply</div>' : '';
+    const failed = m.delivery_status === 'failed' || m.delivery_status === 'undelivered'
+      ? `<div class="thread-note">Not delivered</div>`
+      : '';
+    return `<div class="thread-msg thread-out">${escapeHtml(m.body || m.draft_body || '')}${attachments}${label}${failed}${edited}${time}</div>`;
+  });
+
+  if (items.length === 0) return '';
+  return `<div class="label">Conversation</div><div class="thread">${items.join('')}</div>`;
+}
+
+// For a scheduled send: { status: 'on_send', summary } if a menu change will be applied at
+// delivery, 'expired' (with error) if it already expired, 'none' otherwise
+async function checkPendingAction(messageId) {
+  const action = await getPendingAction(messageId);
+  if (!action || action.type === MENU_AMBIGUOUS_ACTION) return { status: 'none' };
+  if (action.status === 'expired') {
+    return { status: 'expired', summary: action.summary, error: expiredActionError(action) };
+  }
+  if (action.status === 'pending' || action.status === 'failed') {
+    return { status: 'on_send', summary: action.summary };
+  }
+  return { status: 'none' };
+}
+
+/**
+ * Approve a draft and send it, or schedule it when sendAt is given or it is quiet hours.
+ * Returns the delivery result, { scheduledFor } when scheduled, or null if nothing was sent.
+ */
+async function sendApprovedSms(messageId, body, telegramMessageId, isEdit, { attachmentIds = [], sendAt = null, ignoreQuietHours = false } = {}) {
   const dbMessage = await getMessage(messageId);
   if (!dbMessage) {
     logger.error({ messageId }, 'Message not found');
@@ -105,24 +478,79 @@ async function sendApprovedSms(messageId, body, telegramMessageId, isEdit) {
     return;
   }
 
-  const approved = await approveMessage(messageId, isEdit ? body : undefined);
-  const finalBody = isEdit ? body : approved.body;
+  // Never send to a number that replied STOP/ARRET (CASL/CTIA)
+  if (conversation.opted_out) {
+    const note = `Not sent: ${conversation.phone_number} has opted out of SMS.`;
+    if (isEdit || !telegramMessageId) {
+      await sendMessage(note);
+    } else {
+      await updateMessage(telegramMessageId, note);
+    }
+    logger.warn({ messageId, to: conversation.phone_number }, 'Refused to send SMS to opted-out number');
+    return null;
+  }
 
-  const actionResult = await executePendingAction(messageId);
-  if (actionResult.status === 'failed') {
+  // Quiet hours apply to immediate and scheduled sends unless overridden
+  let scheduledFor = sendAt;
+  if (!ignoreQuietHours) {
+    const target = scheduledFor || new Date();
+    if (isQuietHours(target)) scheduledFor = nextSendWindow(target);
+  }
+
+  // Apply the menu change first: if it fails or expired, the draft stays pending
+  // (see applyPendingAction). A scheduled send applies it at delivery instead (see deliverScheduled), so a
+  // cancelled send never leaves the change applied without its confirmation.
+  const actionResult = scheduledFor
+    ? await checkPendingAction(messageId)
+    : await applyPendingAction(messageId);
+  if (actionResult.status === 'failed' || actionResult.status === 'expired') {
+    const note = actionResult.status === 'expired'
+      ? `Not sent. ${actionResult.error}.`
+      : `Not sent. Failed to apply action: ${actionResult.error}`;
     if (isEdit || !telegramMessageId) {
-      await sendMessage(`Failed to apply action: ${actionResult.error}`);
+      await sendMessage(note);
     } else {
-      await updateMessage(telegramMessageId, `Failed to apply action: ${actionResult.error}`);
+      await updateMessage(telegramMessageId, note, buildApprovalKeyboard(messageId));
     }
-    return;
+    return { success: false, actionFailed: true, error: actionResult.error };
   }
 
-  const result = await sendSMS(conversation.phone_number, finalBody);
+  const approved = await approveMessage(messageId, isEdit ? body : undefined);
+  const finalBody = isEdit ? body : approved.body;
 
-  const actionNote = actionResult.status === 'applied'
-    ? `\n\n✅ ${actionResult.summary}`
-    : '';
+  // Attachments from the asset library go out as MMS and are recorded on the row
+  const attachments = await getAssetsByIds(attachmentIds);
+  if (attachments.length > 0) {
+    dbMessage.media_urls = toMediaEntries(attachments);
+    await updateMessageMedia(messageId, dbMessage.media_urls);
+  }
+
+  const actionNotes = {
+    applied: `✅ ${actionResult.summary}`,
+    on_send: `⏳ Applied when sent: ${actionResult.summary}`
+  };
+  const actionNote = (actionNotes[actionResult.status] ? `\n\n${actionNotes[actionResult.status]}` : '')
+    + (attachments.length > 0 ? `\n\n📎 ${attachments.map(a => a.name).join(', ')}` : '');
+
+  if (scheduledFor) {
+    await scheduleMessage(messageId, scheduledFor);
+    if (actionResult.status === 'on_send') {
+      await holdPendingAction(messageId, scheduledFor);
+    }
+
+    const reason = sendAt ? '' : ' (quiet hours)';
+    const text = `⏰ Scheduled for ${formatSendTime(scheduledFor)}${reason} to ${conversation.phone_number}:\n"${finalBody}"${actionNote}`;
+    const approvalTelegramId = telegramMessageId || (dbMessage.telegram_message_ids || [])[0];
+    if (approvalTelegramId && !isEdit) {
+      await updateMessage(approvalTelegramId, text, buildScheduledKeyboard(messageId));
+    } else {
+      await sendMessage(text, buildScheduledKeyboard(messageId));
+    }
+    logger.info({ messageId, scheduledFor: scheduledFor.toISOString(), quietHours: !sendAt }, 'SMS approved and scheduled');
+    return { scheduledFor };
+  }
+
+  const result = await deliverMessage(dbMessage, finalBody);
 
   if (result.success) {
     await syncOutboundSms({
@@ -132,7 +560,6 @@ async function sendApprovedSms(messageId, body, telegramMessageId, isEdit) {
       providerMessageId: result.sid,
       sourceMessageId: messageId,
     });
-    await markMessageSent(messageId, result.sid);
 
     const label = isEdit ? 'Sent edited message to' : 'Sent to';
     if (isEdit || !telegramMessageId) {
@@ -149,48 +576,248 @@ async function sendApprovedSms(messageId, body, telegramMessageId, isEdit) {
       error: result.error,
       sourceMessageId: messageId,
     });
+    const retryNote = result.nextRetryAt ? '\nRetrying automatically.' : '';
     if (isEdit || !telegramMessageId) {
-      await sendMessage(`Failed to send: ${result.error}`);
+      await sendMessage(`Failed to send: ${result.error}${retryNote}`);
     } else {
-      await updateMessage(telegramMessageId, `Failed to send SMS: ${result.error}`);
+      await updateMessage(telegramMessageId, `Failed to send SMS: ${result.error}${retryNote}`);
     }
     logger.error({ messageId, error: result.error }, 'SMS send failed');
   }
+
+  return result;
 }
 
 async function handleApprove(messageId, telegramMessage) {
   await sendApprovedSms(messageId, null, telegramMessage.message_id, false);
 }
 
+async function handleSchedule(messageId, presetKey, telegramMessage) {
+  const { sendAt, error } = resolveSendAt(presetKey);
+  if (error || !sendAt) {
+    logger.warn({ messageId, presetKey }, 'Unknown schedule preset');
+    return;
+  }
+  await sendApprovedSms(messageId, null, telegramMessage.message_id, false, { sendAt });
+}
+
+async function handleUnschedule(messageId, telegramMessage) {
+  const cancelled = await cancelScheduledSend(messageId);
+  if (!cancelled) return;
+
+  await updateMessage(
+    telegramMessage.message_id,
+    `Scheduled send cancelled. Back to pending:\n"${escapeHtml(cancelled.body || cancelled.draft_body || '')}"`,
+    buildApprovalKeyboard(messageId)
+  );
+}
+
+async function handleEditRequest(messageId, telegramMessage) {
+  const promptId = await sendForceReply(
+    'Reply to this message with the replacement text. It will be sent as-is.',
+    telegramMessage.message_id
+  );
+  if (promptId) {
+    await addTelegramMessageId(messageId, promptId);
+  }
+}
+
+async function handleEditReply(telegramMessage) {
+  if (!isApprovalChat(telegramMessage.chat)) {
+    logger.warn({ chatId: telegramMessage.chat?.id }, 'Reply from unexpected chat ignored');
+    return;
+  }
+
+  const finalBody = (telegramMessage.text || '').trim();
+  if (!finalBody) return;
+
+  // Replies can target the approval message itself or the edit prompt
+  const dbMessage = await findMessageByTelegramId(telegramMessage.reply_to_message.message_id);
+  if (!dbMessage) {
+    logger.info({ replyTo: telegramMessage.reply_to_message.message_id }, 'Reply is not linked to a draft, ignoring');
+    return;
+  }
+
+  if (dbMessage.status !== 'pending_approval') {
+    await sendMessage(`Not sent: this draft was already ${dbMessage.status}.`);
+    return;
+  }
+
+  await captureEditCorrection(dbMessage, finalBody);
+
+  const [approvalTelegramId] = dbMessage.telegram_message_ids || [];
+  if (approvalTelegramId) {
+    await updateMessage(approvalTelegramId, 'Replaced with edited text (see below)');
+  }
+
+  await sendApprovedSms(dbMessage.id, finalBody, null, true);
+  logger.info({ messageId: dbMessage.id }, 'Telegram approval: edited and sent');
+}
+
+/**
+ * Store an edit as a correction for learning (shared by web and Telegram edits)
+ */
+async function captureEditCorrection(dbMessage, finalBody) {
+  const conversation = dbMessage.sms_conversations || {};
+  const incomingContext = await getLastInboundContext(dbMessage.conversation_id);
+  storeCorrection({
+    channel: 'sms',
+    action: 'edit',
+    incomingContext,
+    incomingFrom: conversation.phone_number,
+    originalDraft: dbMessage.draft_body,
+    correctedText: finalBody,
+    sourceRecordId: dbMessage.id,
+    sourceTable: 'sms_messages',
+    metadata: { client_name: conversation.client_name, conversation_id: dbMessage.conversation_id }
+  }).catch(err => logger.warn({ err }, 'Correction storage failed (edit)'));
+}
+
 async function handleReject(messageId, telegramMessage) {
   const dbMessage = await getMessage(messageId);
-  await rejectMessage(messageId);
-  clearPendingAction(messageId);
-  if (dbMessage) {
+  if (!dbMessage) {
+    logger.warn({ messageId }, 'Reject for unknown draft ignored');
+    return;
+  }
+  await rejectDraft(dbMessage, { telegramMessageId: telegramMessage.message_id });
+  logger.info({ messageId }, 'SMS rejected');
+}
+
+/**
+ * Reject a draft and clear its pending action (shared by Telegram, web and queue).
+ * Stores a reject correction unless storeFeedback is false (e.g. stale bulk rejects),
+ * and updates the Telegram approval message so its buttons are not left dangling.
+ */
+async function rejectDraft(dbMessage, { storeFeedback = true, telegramMessageId = null, note = 'Message rejected (not sent)' } = {}) {
+  const conversation = dbMessage.sms_conversations || {};
+
+  await rejectMessage(dbMessage.id);
+  await clearPendingAction(dbMessage.id);
+
+  if (storeFeedback) {
     const incomingContext = await getLastInboundContext(dbMessage.conversation_id);
     storeCorrection({
       channel: 'sms',
       action: 'reject',
       incomingContext,
-      incomingFrom: dbMessage.sms_conversations?.phone_number,
+      incomingFrom: conversation.phone_number,
       originalDraft: dbMessage.draft_body,
-      sourceRecordId: messageId,
+      sourceRecordId: dbMessage.id,
       sourceTable: 'sms_messages',
-      metadata: { client_name: dbMessage.sms_conversations?.client_name }
-    }).catch(err => logger.warn({ err }, 'Correction storage failed'));
+      metadata: { client_name: conversation.client_name }
+    }).catch(err => logger.warn({ err }, 'Correction storage failed (reject)'));
+  }
+
+  const approvalTelegramId = telegramMessageId || (dbMessage.telegram_message_ids || [])[0];
+  if (approvalTelegramId) {
+    await updateMessage(approvalTelegramId, note);
   }
-  await updateMessage(
-    telegramMessage.message_id,
-    'Message rejected (not sent)'
-  );
-  logger.info({ messageId }, 'SMS rejected');
 }
 
 // ---------------------------------------------------------------------------
 // Web approval routes (GET/POST /:messageId)
-// These are NOT behind Telegram auth -- they are accessed via browser links.
+// These are NOT behind Telegram auth -- they are accessed via browser links
+// carrying an HMAC-signed, expiring token (?t=) bound to the message ID.
 // ---------------------------------------------------------------------------
 
+const TOKEN_ERRORS = {
+  missing: 'This link is missing its access token.',
+  malformed: 'This link is invalid.',
+  invalid: 'This link is invalid.',
+  expired: 'This link has expired. Use the Telegram buttons instead.',
+  revoked: 'This link has been revoked. Use the Telegram buttons instead.'
+};
+
+async function requireApprovalToken(req, res, next) {
+  if (!isApprovalLinkConfigured()) {
+    logger.error('APPROVAL_LINK_SECRET is not set');
+    return res.status(500).send(renderPage('Error',
+      '<div class="status-box status-err"><h1>Server configuration error</h1><p>Approval links are not configured.</p></div>'));
+  }
+
+  try {
+    const { messageId } = req.params;
+    const result = await verifyApprovalToken(messageId, req.query.t);
+    if (!result.valid) {
+      logger.warn({ messageId, reason: result.reason }, 'Rejected approval link');
+      return res.status(403).send(renderPage('Link Not Valid',
+        `<div class="status-box status-warn"><h1>Link Not Valid</h1><p>${TOKEN_ERRORS[result.reason]}</p></div>`));
+    }
+    next();
+  } catch (error) {
+    logger.error({ error }, 'Approval token verification failed');
+    res.status(500).send(renderPage('Error',
+      '<div class="status-box status-err"><h1>Something went wrong</h1><p>Could not verify this link. Please try again or use Telegram.</p></div>'));
+  }
+}
+
+/**
+ * GET /auto-send - Current auto-send policy (API key required)
+ */
+router.get('/auto-send', async (req, res) => {
+  try {
+    if (!validateApiKey(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return res.json(await getAutoSendPolicy());
+  } catch (error) {
+    logger.error({ error }, 'Error getting auto-send policy');
+    return res.status(500).json({ error: 'Failed to get auto-send policy' });
+  }
+});
+
+/**
+ * POST /auto-send - Update the auto-send policy (API key required)
+ * Body: { enabled?, minScore?, holdMinutes?, categories? }
+ */
+router.post('/auto-send', async (req, res) => {
+  try {
+    if (!validateApiKey(req)) {
+      logger.warn('Unauthorized auto-send policy update attempt');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { changes, error } = parsePolicyChanges(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    return res.json(await updateAutoSendPolicy(changes));
+  } catch (error) {
+    logger.error({ error }, 'Error updating auto-send policy');
+    return res.status(500).json({ error: 'Failed to update auto-send policy' });
+  }
+});
+
+/**
+ * POST /revoke - Revoke outstanding approval links (API key required)
+ * Body: { messageId?: string } -- one message's links, or all links if omitted.
+ * For a single message, a fresh link is returned.
+ */
+router.post('/revoke', async (req, res) => {
+  try {
+    if (!validateApiKey(req)) {
+      logger.warn('Unauthorized approval link revocation attempt');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { messageId } = req.body || {};
+    if (messageId !== undefined && (typeof messageId !== 'string' || !/^[0-9a-f-]{36}$/i.test(messageId))) {
+      return res.status(400).json({ error: 'Invalid messageId format' });
+    }
+
+    const revokedAt = await revokeApprovalLinks(messageId || null);
+
+    // Issued after the revocation timestamp, so it stays valid
+    const link = messageId && isApprovalLinkConfigured() ? createApprovalLink(messageId) : undefined;
+
+    return res.json({ revoked: messageId || 'all', revokedAt, link });
+  } catch (error) {
+    logger.error({ error }, 'Failed to revoke approval links');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 function renderPage(title, bodyHtml) {
   return `<!DOCTYPE html>
 <html lang="en"><head>
@@ -223,11 +850,319 @@ button:active{opacity:0.8}
 .status-err{background:#b71c1c}
 .context-box{background:#16213e;border-radius:8px;padding:12px;margin-bottom:16px;font-size:0.9rem}
 .context-box .heading{color:#90caf9;font-weight:600;margin-bottom:4px}
+.media-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(120px,1fr));gap:8px;margin-bottom:16px}
+.media-item{background:#16213e;border-radius:8px;overflow:hidden;font-size:0.8rem}
+.media-item img{width:100%;height:120px;object-fit:cover;display:block}
+.media-caption{padding:6px 8px;color:#bbb}
+.media-missing{padding:12px 8px;color:#90caf9}
+.attachments{background:#16213e;border-radius:8px;padding:12px;margin-top:12px}
+.attachments summary{cursor:pointer;color:#90caf9;font-weight:600}
+.attach-category{font-size:0.8rem;text-transform:uppercase;letter-spacing:0.05em;color:#888;margin:10px 0 4px}
+.attach-option{display:flex;align-items:center;gap:8px;padding:6px 0;font-size:0.95rem}
+.thread{display:flex;flex-direction:column;gap:8px;margin-bottom:16px;max-height:60vh;overflow-y:auto}
+.thread-msg{max-width:85%;padding:8px 12px;border-radius:12px;white-space:pre-wrap;font-size:0.95rem}
+.thread-in{align-self:flex-start;background:#16213e}
+.thread-out{align-self:flex-end;background:#1e3a5f}
+.thread-time{font-size:0.75rem;color:#888;margin-top:4px}
+.thread-note{font-size:0.8rem;color:#90caf9;margin-top:4px}
+.thread-draft{align-self:flex-end;max-width:85%;font-size:0.85rem;color:#888}
+.thread-draft summary{cursor:pointer}
+.thread-body{white-space:pre-wrap;padding:6px 0;color:#aaa}
+.memories{white-space:pre-wrap}
+.send-at-select{width:100%;margin-top:10px;padding:10px;border:1px solid #444;border-radius:8px;background:#1a1a2e;color:#e0e0e0;font-size:1rem}
+.send-at-note{font-size:0.85rem;color:#ffb74d;margin-top:8px}
+.action-state{font-size:0.85rem;margin-top:6px;color:#90caf9}
+.action-applied{color:#81c784}
+.action-failed,.action-expired,.action-declined{color:#ffb74d}
+.menu-op{display:block;margin:4px 0}
+.menu-op-declined{color:#888;text-decoration:line-through}
+.btn-preview{background:#2196F3;padding:8px 14px;font-size:0.9rem;min-height:0;margin-top:8px}
+.menu-diff{display:grid;grid-template-columns:1fr 1fr;gap:12px}
+.diff-del{color:#e57373;text-decoration:line-through}
+.diff-add{color:#81c784}
+.queue-item{background:#16213e;border-radius:8px;padding:12px;margin-bottom:12px}
+.queue-meta{display:flex;justify-content:space-between;gap:8px;font-size:0.85rem;color:#888;margin-bottom:8px}
+.queue-meta strong{color:#fff;font-size:1rem}
+.queue-item blockquote{margin:4px 0 8px;background:#1a1a2e}
+.queue-actions{display:flex;gap:8px;margin-top:8px;flex-wrap:wrap}
+.queue-actions button{padding:10px 14px;font-size:0.9rem}
+.queue-actions a{color:#90caf9;align-self:center;font-size:0.9rem}
+.bulk-form{display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:16px}
+.bulk-form input{width:70px;padding:10px;border:1px solid #444;border-radius:8px;background:#16213e;color:#e0e0e0;font-size:1rem}
 </style>
 </head><body><div class="container">${bodyHtml}</div></body></html>`;
 }
 
-router.get('/:messageId', async (req, res) => {
+// ---------------------------------------------------------------------------
+// Approval queue (GET/POST /queue)
+// Lists every pending draft across conversations. Accessible with the API key
+// (x-api-key) or a signed queue link (?t=), sent by the Telegram /queue command.
+// Must be registered before /:messageId.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_STALE_HOURS = 24;
+const SNIPPET_LENGTH = 160;
+
+async function requireQueueAccess(req, res, next) {
+  if (validateApiKey(req)) return next();
+
+  if (!isApprovalLinkConfigured()) {
+    logger.warn('Queue access without API key and APPROVAL_LINK_SECRET is not set');
+    return res.status(401).send(renderPage('Unauthorized',
+      '<div class="status-box status-err"><h1>Unauthorized</h1><p>An API key or signed link is required.</p></div>'));
+  }
+
+  try {
+    const result = await verifyApprovalToken(QUEUE_SUBJECT, req.query.t);
+    if (!result.valid) {
+      logger.warn({ reason: result.reason }, 'Rejected queue link');
+      return res.status(403).send(renderPage('Link Not Valid',
+        `<div class="status-box status-warn"><h1>Link Not Valid</h1><p>${TOKEN_ERRORS[result.reason]} Send /queue in Telegram for a new link.</p></div>`));
+    }
+    next();
+  } catch (error) {
+    logger.error({ error }, 'Queue token verification failed');
+    res.status(500).send(renderPage('Error',
+      '<div class="status-box status-err"><h1>Something went wrong</h1><p>Could not verify this link.</p></div>'));
+  }
+}
+
+function formatAge(createdAt) {
+  const minutes = Math.max(0, Math.floor((Date.now() - Date.parse(createdAt)) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+}
+
+function truncate(text, length) {
+  if (!text || text.length <= length) return text || '';
+  return text.slice(0, length - 1).trimEnd() + '…';
+}
+
+// Link back to the queue, keeping the signed token if the page was opened with one
+function queueHref(req) {
+  return `${req.baseUrl}/queue${req.query.t ? `?t=${encodeURIComponent(req.query.t)}` : ''}`;
+}
+
+function renderQueueResult(req, cls, heading, text) {
+  return renderPage(heading,
+    `<div class="status-box ${cls}"><h1>${escapeHtml(heading)}</h1><p>${escapeHtml(text)}</p></div>
+<p style="text-align:center;margin-top:16px"><a href="${escapeHtml(queueHref(req))}" style="color:#90caf9">Back to queue</a></p>`);
+}
+
+router.get('/queue', requireQueueAccess, async (req, res) => {
+  try {
+    const drafts = await listPendingDrafts();
+    const latestInbound = await getLatestInboundByConversation(
+      [...new Set(drafts.map(d => d.conversation_id).filter(Boolean))]
+    );
+
+    const actions = await getPendingActions(drafts.map(d => d.id));
+
+    const items = drafts.map(draft => {
+      const conversation = draft.sms_conversations || {};
+      const metadata = draft.metadata || {};
+      const inbound = latestInbound[draft.conversation_id]?.body || '';
+      const actionHtml = renderActionHtml(actions[draft.id], metadata.action_summary || metadata.pending_action_summary);
+      const name = conversation.client_name || conversation.phone_number || 'Unknown';
+
+      return `
+<div class="queue-item">
+  <div class="queue-meta">
+    <span><strong>${escapeHtml(name)}</strong>${conversation.client_name ? ` &middot; ${escapeHtml(conversation.phone_number || '')}` : ''}</span>
+    <span>${formatAge(draft.created_at)} ago</span>
+  </div>
+  ${inbound ? `<div class="label">Their Message</div><blockquote>${escapeHtml(truncate(inbound, SNIPPET_LENGTH))}</blockquote>` : ''}
+  <div class="label">Draft Reply</div>
+  <blockquote>${escapeHtml(draft.draft_body || '')}</blockquote>
+  ${actionHtml}
+  ${conversation.opted_out ? '<div class="context-box"><div class="heading">Opted Out</div>This client replied STOP.</div>' : ''}
+  <form method="POST" action="" class="queue-actions">
+    <input type="hidden" name="messageId" value="${escapeHtml(draft.id)}">
+    ${conversation.opted_out ? '' : '<button type="submit" name="action" value="approve" class="btn-approve">Approve &amp; Send</button>'}
+    <button type="submit" name="action" value="reject" class="btn-reject">Reject</button>
+    <a href="${escapeHtml(createApprovalLink(draft.id))}">Open</a>
+  </form>
+</div>`;
+    }).join('');
+
+    const bodyHtml = `
+<h1>Approval Queue</h1>
+<div class="value">${drafts.length === 1 ? '1 draft' : `${drafts.length} drafts`} pending approval</div>
+${drafts.length > 0 ? `
+<form method="POST" action="" class="bulk-form">
+  <input type="hidden" name="action" value="bulk_reject">
+  <span>Reject drafts older than</span>
+  <input type="number" name="olderThanHours" min="1" value="${DEFAULT_STALE_HOURS}">
+  <span>hours</span>
+  <button type="submit" class="btn-reject">Reject Stale</button>
+</form>` : ''}
+${items || '<div class="status-box status-ok"><h1>All Caught Up</h1><p>No drafts are waiting for approval.</p></div>'}`;
+
+    res.send(renderPage('Approval Queue', bodyHtml));
+  } catch (error) {
+    logger.error({ error }, 'Error rendering approval queue');
+    res.status(500).send(renderPage('Error',
+      '<div class="status-box status-err"><h1>Something went wrong</h1><p>Could not load the approval queue. Please try again.</p></div>'));
+  }
+});
+
+router.post('/queue', requireQueueAccess, async (req, res) => {
+  try {
+    const { action, messageId, olderThanHours } = req.body || {};
+
+    if (action === 'bulk_reject') {
+      const hours = parseFloat(olderThanHours ?? DEFAULT_STALE_HOURS);
+      if (!Number.isFinite(hours) || hours < 1) {
+        return res.status(400).send(renderQueueResult(req, 'status-warn', 'Invalid Age', 'Enter a number of hours (1 or more).'));
+      }
+
+      const cutoff = Date.now() - hours * 3600 * 1000;
+      const stale = (await listPendingDrafts()).filter(d => Date.parse(d.created_at) < cutoff);
+
+      // Stale drafts say nothing about draft quality -- don't learn from them
+      for (const draft of stale) {
+        await rejectDraft(draft, { storeFeedback: false, note: 'Rejected as stale from the approval queue (not sent)' });
+      }
+
+      logger.info({ count: stale.length, olderThanHours: hours }, 'Queue: bulk rejected stale drafts');
+      return res.send(renderQueueResult(req, 'status-warn', 'Stale Drafts Rejected',
+        `${stale.length} draft${stale.length === 1 ? '' : 's'} older than ${hours}h rejected. Nothing was sent.`));
+    }
+
+    if (typeof messageId !== 'string' || !/^[0-9a-f-]{36}$/i.test(messageId)) {
+      return res.status(400).send(renderQueueResult(req, 'status-err', 'Invalid Request', 'Missing or invalid message ID.'));
+    }
+
+    const dbMessage = await getMessage(messageId);
+    if (!dbMessage) {
+      return res.status(404).send(renderQueueResult(req, 'status-warn', 'Message Not Found', 'This draft no longer exists.'));
+    }
+
+    if (dbMessage.status !== 'pending_approval') {
+      return res.send(renderQueueResult(req, 'status-warn', `Already ${dbMessage.status}`,
+        `This draft was already ${dbMessage.status}. No action taken.`));
+    }
+
+    const conversation = dbMessage.sms_conversations || {};
+
+    if (action === 'approve') {
+      if (conversation.opted_out) {
+        return res.status(409).send(renderQueueResult(req, 'status-err', 'Client Opted Out',
+          `${conversation.phone_number || ''} replied STOP. This message cannot be sent.`));
+      }
+
+      const result = await sendApprovedSms(messageId, null, (dbMessage.telegram_message_ids || [])[0] || null, false);
+      logger.info({ messageId }, 'Queue: approved');
+      if (result?.actionFailed) {
+        return res.status(502).send(renderQueueResult(req, 'status-err', 'Not Sent',
+          `The menu change could not be applied: ${result.error}`));
+      }
+      if (result?.scheduledFor) {
+        return res.send(renderQueueResult(req, 'status-ok', 'Message Scheduled',
+          `Quiet hours: SMS to ${conversation.phone_number || ''} will go out ${formatSendTime(result.scheduledFor)}.`));
+      }
+      return res.send(renderQueueResult(req, 'status-ok', 'Message Sent', `SMS sent to ${conversation.phone_number || ''}.`));
+    }
+
+    if (action === 'reject') {
+      await rejectDraft(dbMessage);
+      logger.info({ messageId }, 'Queue: rejected');
+      return res.send(renderQueueResult(req, 'status-warn', 'Message Rejected', 'The draft was rejected and will not be sent.'));
+    }
+
+    return res.status(400).send(renderQueueResult(req, 'status-err', 'Invalid Action', 'Unrecognized form action.'));
+  } catch (error) {
+    logger.error({ error }, 'Error processing approval queue action');
+    res.status(500).send(renderQueueResult(req, 'status-err', 'Something went wrong', 'The action could not be completed. Please try again.'));
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Scheduled send (approve now, deliver later)
+// ---------------------------------------------------------------------------
+
+function renderSendAtPicker() {
+  const presets = getSendPresets().map(p =>
+    `<option value="${p.key}">${escapeHtml(p.label)} (${escapeHtml(formatSendTime(p.at))})</option>`
+  ).join('');
+  const quietNote = isQuietHours()
+    ? `<div class="send-at-note">Quiet hours (${describeQuietHours()}): "Now" goes out at ${escapeHtml(formatSendTime(nextSendWindow()))}.</div>`
+    : '';
+
+  return `<details class="attachments"><summary>Send at&hellip;</summary>
+  <select name="sendAt" class="send-at-select">
+    <option value="now">Now</option>
+    ${presets}
+    <option value="custom">Custom time (Toronto)</option>
+  </select>
+  <input type="datetime-local" name="customSendAt" class="send-at-select">
+  <label class="attach-option"><input type="checkbox" name="ignoreQuietHours" value="1"> Send even during quiet hours (${describeQuietHours()})</label>
+  ${quietNote}
+</details>`;
+}
+
+function renderActionFailed(error) {
+  return `<div class="status-box status-err"><h1>Not Sent</h1><p>The menu change could not be applied: ${escapeHtml(error)}</p><p>The draft is still pending. Reload this link to try again or reject it.</p></div>`;
+}
+
+function renderScheduledResult(conversation, scheduledFor) {
+  return `<div class="status-box status-ok"><h1>Message Scheduled</h1><p>SMS to ${escapeHtml(conversation.phone_number || '')} will go out ${escapeHtml(formatSendTime(scheduledFor))}. Reopen this link to cancel or send now.</p></div>`;
+}
+
+function renderScheduledHtml(dbMessage) {
+  const conversation = dbMessage.sms_conversations || {};
+  return `
+<h1>Scheduled SMS</h1>
+<div class="label">To</div>
+<div class="value">${escapeHtml(conversation.phone_number || 'Unknown')}${conversation.client_name ? ' &mdash; ' + escapeHtml(conversation.client_name) : ''}</div>
+<div class="label">Sends At</div>
+<div class="value">${escapeHtml(formatSendTime(dbMessage.scheduled_for))}</div>
+<div class="label">Message</div>
+<blockquote>${escapeHtml(dbMessage.body || '')}</blockquote>
+<form method="POST" action="">
+  <div class="actions">
+    <button type="submit" name="action" value="send_now" class="btn-approve">Send Now</button>
+    <button type="submit" name="action" value="cancel_schedule" class="btn-reject">Cancel Send</button>
+  </div>
+</form>`;
+}
+
+async function handleScheduledAction(req, res, dbMessage) {
+  const { action } = req.body || {};
+  const conversation = dbMessage.sms_conversations || {};
+  const [approvalTelegramId] = dbMessage.telegram_message_ids || [];
+
+  if (action === 'send_now') {
+    const result = await sendScheduledNow(dbMessage.id);
+    logger.info({ messageId: dbMessage.id, sent: Boolean(result?.success) }, 'Web approval: scheduled send released');
+    if (result?.success) {
+      return res.send(renderPage('Sent',
+        `<div class="status-box status-ok"><h1>Message Sent</h1><p>SMS sent to ${escapeHtml(conversation.phone_number || '')}.</p></div>`));
+    }
+    return res.status(result ? 502 : 409).send(renderPage('Not Sent',
+      `<div class="status-box status-err"><h1>Not Sent</h1><p>${escapeHtml(result?.error || 'This message is no longer scheduled.')}</p></div>`));
+  }
+
+  if (action === 'cancel_schedule') {
+    const cancelled = await cancelScheduledSend(dbMessage.id);
+    if (cancelled && approvalTelegramId) {
+      await updateMessage(approvalTelegramId,
+        `Scheduled send cancelled. Back to pending:\n"${escapeHtml(cancelled.body || '')}"`,
+        buildApprovalKeyboard(dbMessage.id));
+    }
+    logger.info({ messageId: dbMessage.id }, 'Web approval: scheduled send cancelled');
+    return res.send(renderPage('Cancelled', cancelled
+      ? '<div class="status-box status-warn"><h1>Send Cancelled</h1><p>The message is back to pending approval. Reload this link to approve, edit or reject it.</p></div>'
+      : '<div class="status-box status-warn"><h1>Not Scheduled</h1><p>This message is no longer scheduled. No action taken.</p></div>'));
+  }
+
+  return res.status(400).send(renderPage('Invalid Action',
+    '<div class="status-box status-err"><h1>Invalid Action</h1><p>Unrecognized form action.</p></div>'));
+}
+
+router.get('/:messageId', requireApprovalToken, async (req, res) => {
   try {
     const { messageId } = req.params;
     const dbMessage = await getMessage(messageId);
@@ -238,6 +1173,9 @@ router.get('/:messageId', async (req, res) => {
     }
 
     const status = dbMessage.status;
+    if (status === 'scheduled') {
+      return res.send(renderPage('Scheduled', renderScheduledHtml(dbMessage)));
+    }
     if (status === 'sent' || status === 'rejected' || status === 'approved') {
       const label = status === 'sent' ? 'Already Sent' : status === 'approved' ? 'Already Approved' : 'Already Rejected';
       const cls = status === 'sent' || status === 'approved' ? 'status-ok' : 'status-warn';
@@ -249,34 +1187,75 @@ router.get('/:messageId', async (req, res) => {
     const phone = conversation.phone_number || 'Unknown';
     const clientName = conversation.client_name || '';
 
-    // Get last inbound message for context
-    let inboundBody = '';
+    // Full thread for context, plus attachments on the last inbound message
+    let threadHtml = '';
+    let mediaHtml = '';
+    let memories = null;
+    let mtlEvents = [];
     try {
-      inboundBody = await getLastInboundContext(dbMessage.conversation_id) || '';
+      const thread = await getConversationThread(dbMessage.conversation_id);
+      threadHtml = renderThreadHtml(thread, dbMessage.id);
+      const inbound = [...thread].reverse().find(m => m.direction === 'inbound');
+      mediaHtml = await renderMediaHtml(inbound?.media_urls);
+      memories = await searchClientContext(inbound?.body || clientName || phone, conversation.phone_number);
+      mtlEvents = await listConversationEvents(dbMessage.conversation_id, 5);
     } catch (_) { /* best effort */ }
 
-    const draft = dbMessage.draft_body || '';
+    const draft = dbMessage.body || dbMessage.draft_body || '';
     const metadata = dbMessage.metadata || {};
     const calendarContext = metadata.calendar_context || '';
-    const actionSummary = metadata.action_summary || metadata.pending_action_summary || '';
+    const pendingAction = await getPendingAction(messageId);
 
     let contextHtml = '';
+    if (conversation.opted_out) {
+      contextHtml += '<div class="context-box"><div class="heading">Opted Out</div>This client replied STOP. Approving will not send anything.</div>';
+    }
     if (calendarContext) {
       contextHtml += `<div class="context-box"><div class="heading">Calendar</div>${escapeHtml(calendarContext)}</div>`;
     }
-    if (actionSummary) {
-      contextHtml += `<div class="context-box"><div class="heading">Pending Action</div>${escapeHtml(actionSummary)}</div>`;
+    contextHtml += renderLanguageHtml(conversation, metadata.language, 'approval-form');
+    contextHtml += renderKnownSoFarHtml(conversation);
+    contextHtml += renderQuoteHtml(conversation.lead_profile, 'approval-form');
+    contextHtml += renderActionHtml(pendingAction, metadata.action_summary || metadata.pending_action_summary, { selectable: true, formId: 'approval-form' });
+    if (metadata.auto_send) {
+      const { score, reasons = [], blockers = [] } = metadata.auto_send;
+      const details = [...reasons, ...blockers.map(b => `held: ${b}`)].join('; ');
+      contextHtml += `<div class="context-box"><div class="heading">Auto-Send Check</div>Confidence ${Math.round(score * 100)}%${details ? ` &mdash; ${escapeHtml(details)}` : ''}</div>`;
+    }
+    if (metadata.reminder) {
+      contextHtml += '<div class="context-box"><div class="heading">Scheduled Reminder</div>The client has not written; this draft comes from a reminder created through <code>/reminders</code>.</div>';
     }
+    if (metadata.follow_up) {
+      const { attempt, days_silent: daysSilent } = metadata.follow_up;
+      contextHtml += `<div class="context-box"><div class="heading">Follow-Up Nudge</div>No reply for ${escapeHtml(String(daysSilent))} days; this is follow-up ${escapeHtml(String(attempt))}. It is withdrawn automatically if the client replies or books.</div>`;
+    }
+    if (metadata.proactive) {
+      contextHtml += '<div class="context-box"><div class="heading">Proactive Message</div>The client has not written; this draft follows an update from the MTL app.</div>';
+    }
+    if (mtlEvents.length > 0) {
+      const items = mtlEvents.map(e => `${escapeHtml(formatTimestamp(e.created_at))} &mdash; ${escapeHtml(e.summary)}`).join('<br>');
+      contextHtml += `<div class="context-box"><div class="heading">Event Updates</div>${items}</div>`;
+    }
+    if (memories) {
+      contextHtml += `<div class="context-box"><div class="heading">What We Remember</div><div class="memories">${escapeHtml(memories)}</div></div>`;
+    }
+
+    const assets = await listAssets();
+    const attachmentsHtml = renderAttachmentPicker(assets);
+    const sendAtHtml = renderSendAtPicker();
 
     const bodyHtml = `
 <h1>SMS Approval</h1>
 <div class="label">From</div>
 <div class="value">${escapeHtml(phone)}${clientName ? ' &mdash; ' + escapeHtml(clientName) : ''}</div>
-${inboundBody ? `<div class="label">Their Message</div><blockquote>${escapeHtml(inboundBody)}</blockquote>` : ''}
+${threadHtml}
+${mediaHtml}
 ${contextHtml}
-<form method="POST" action="">
+<form method="POST" action="" id="approval-form">
   <div class="label">Draft Reply</div>
   <textarea name="editedBody">${escapeHtml(draft)}</textarea>
+  ${attachmentsHtml}
+  ${sendAtHtml}
   <div class="actions">
     <button type="submit" name="action" value="approve" class="btn-approve">Approve &amp; Send</button>
     <button type="submit" name="action" value="edit" class="btn-edit">Send Edited Text</button>
@@ -292,10 +1271,11 @@ ${contextHtml}
   }
 });
 
-router.post('/:messageId', async (req, res) => {
+router.post('/:messageId', requireApprovalToken, async (req, res) => {
   const { messageId } = req.params;
   try {
     const { action, editedBody } = req.body || {};
+    const attachmentIds = parseCheckedValues(req.body?.attachments);
 
     const dbMessage = await getMessage(messageId);
     if (!dbMessage) {
@@ -303,6 +1283,10 @@ router.post('/:messageId', async (req, res) => {
         '<div class="status-box status-warn"><h1>Message Not Found</h1><p>This message no longer exists.</p></div>'));
     }
 
+    if (dbMessage.status === 'scheduled') {
+      return handleScheduledAction(req, res, dbMessage);
+    }
+
     if (dbMessage.status === 'sent' || dbMessage.status === 'rejected' || dbMessage.status === 'approved') {
       const label = dbMessage.status === 'sent' ? 'Already Sent' : dbMessage.status === 'approved' ? 'Already Approved' : 'Already Rejected';
       return res.send(renderPage(label,
@@ -311,9 +1295,85 @@ router.post('/:messageId', async (req, res) => {
 
     const conversation = dbMessage.sms_conversations || {};
 
+    if (conversation.opted_out && (action === 'approve' || action === 'edit')) {
+      return res.status(409).send(renderPage('Opted Out',
+        `<div class="status-box status-err"><h1>Client Opted Out</h1><p>${escapeHtml(conversation.phone_number || '')} replied STOP. This message cannot be sent.</p></div>`));
+    }
+
+    const { sendAt, error: sendAtError } = resolveSendAt(req.body?.sendAt, req.body?.customSendAt);
+    if (sendAtError && (action === 'approve' || action === 'edit')) {
+      return res.status(400).send(renderPage('Invalid Time',
+        `<div class="status-box status-warn"><h1>Invalid Send Time</h1><p>${escapeHtml(sendAtError)} Go back and pick another time.</p></div>`));
+    }
+    const sendOptions = { attachmentIds, sendAt, ignoreQuietHours: req.body?.ignoreQuietHours === '1' };
+
+    // Per-operation accept/decline for batched menu changes, saved before anything is applied
+    if (req.body?.opsSelection === '1' && ['approve', 'edit', 'preview_ops'].includes(action)) {
+      await selectPendingOperations(messageId, parseCheckedValues(req.body.acceptOps));
+    }
+
+    if (action === 'preview_ops') {
+      return res.redirect(303, req.originalUrl);
+    }
+
+    // Append the calculated quote to the draft (in the client's language) and come back to the page
+    if (action === 'insert_quote') {
+      const quote = calculateQuote(conversation.lead_profile);
+      if (quote.error) {
+        return res.status(400).send(renderPage('No Quote',
+          `<div class="status-box status-warn"><h1>No Quote Yet</h1><p>${escapeHtml(quote.error)}.</p></div>`));
+      }
+      const inbound = await getLastInboundContext(dbMessage.conversation_id);
+      const current = (editedBody || '').trim();
+      const quoteText = formatQuoteText(quote, conversation.preferred_language || detectLanguage(inbound));
+      await saveWorkingDraft(messageId, current ? `${current}\n\n${quoteText}` : quoteText);
+      logger.info({ messageId, total: quote.subtotal }, 'Web approval: quote inserted');
+      return res.redirect(303, req.originalUrl);
+    }
+
+    // Pin (or unpin) the conversation language; a draft in the other language is rewritten
+    if (action === 'set_language') {
+      const choice = req.body?.replyLanguage;
+      const lang = LANGUAGES[choice] ? choice : null;
+      await setPreferredLanguage(dbMessage.conversation_id, lang);
+
+      const current = (editedBody || '').trim() || dbMessage.body || dbMessage.draft_body || '';
+      if (lang && current && detectLanguage(current) !== lang) {
+        const inbound = await getLastInboundContext(dbMessage.conversation_id);
+        const rewritten = await rewriteDraftFromCorrections(current, `Rewrite this message in ${LANGUAGES[lang]}. Keep the meaning and details.`, inbound, lang);
+        await saveWorkingDraft(messageId, rewritten);
+      }
+      logger.info({ messageId, lang: lang || 'auto' }, 'Web approval: reply language set');
+      return res.redirect(303, req.originalUrl);
+    }
+
+    if (action === 'pick_event') {
+      const result = await resolveAmbiguousAction(messageId, parseInt(req.body?.eventChoice, 10));
+      if (!result.ok) {
+        return res.status(502).send(renderPage('Event Not Set',
+          `<div class="status-box status-warn"><h1>Could Not Use That Event</h1><p>${escapeHtml(result.error)}</p></div>`));
+      }
+      logger.info({ messageId }, 'Web approval: event picked for menu change');
+      return res.redirect(303, req.originalUrl);
+    }
+
+    if (action === 'renew_action' || action === 'discard_action') {
+      const done = action === 'renew_action'
+        ? await renewPendingAction(messageId)
+        : await discardPendingAction(messageId);
+      logger.info({ messageId, action, done }, 'Web approval: expired menu change handled');
+      return res.redirect(303, req.originalUrl);
+    }
+
     if (action === 'approve') {
-      await sendApprovedSms(messageId, null, null, false);
-      logger.info({ messageId }, 'Web approval: approved');
+      const result = await sendApprovedSms(messageId, null, null, false, sendOptions);
+      logger.info({ messageId, attachments: attachmentIds.length, scheduled: Boolean(result?.scheduledFor) }, 'Web approval: approved');
+      if (result?.actionFailed) {
+        return res.status(502).send(renderPage('Not Sent', renderActionFailed(result.error)));
+      }
+      if (result?.scheduledFor) {
+        return res.send(renderPage('Scheduled', renderScheduledResult(conversation, result.scheduledFor)));
+      }
       return res.send(renderPage('Sent',
         `<div class="status-box status-ok"><h1>Message Sent</h1><p>SMS sent to ${escapeHtml(conversation.phone_number || '')}.</p></div>`));
     }
@@ -326,40 +1386,22 @@ router.post('/:messageId', async (req, res) => {
       }
 
       // Store correction for learning
-      const incomingContext = await getLastInboundContext(dbMessage.conversation_id);
-      storeCorrection({
-        channel: 'sms',
-        action: 'edit',
-        incomingContext,
-        incomingFrom: conversation.phone_number,
-        originalDraft: dbMessage.draft_body,
-        correctedText: finalBody,
-        sourceRecordId: messageId,
-        sourceTable: 'sms_messages',
-        metadata: { client_name: conversation.client_name, conversation_id: dbMessage.conversation_id }
-      }).catch(err => logger.warn({ err }, 'Correction storage failed (web edit)'));
-
-      await sendApprovedSms(messageId, finalBody, null, true);
-      logger.info({ messageId }, 'Web approval: edited and sent');
+      await captureEditCorrection(dbMessage, finalBody);
+
+      const result = await sendApprovedSms(messageId, finalBody, null, true, sendOptions);
+      logger.info({ messageId, attachments: attachmentIds.length, scheduled: Boolean(result?.scheduledFor) }, 'Web approval: edited and sent');
+      if (result?.actionFailed) {
+        return res.status(502).send(renderPage('Not Sent', renderActionFailed(result.error)));
+      }
+      if (result?.scheduledFor) {
+        return res.send(renderPage('Scheduled', renderScheduledResult(conversation, result.scheduledFor)));
+      }
       return res.send(renderPage('Sent (Edited)',
         `<div class="status-box status-ok"><h1>Edited Message Sent</h1><p>SMS sent to ${escapeHtml(conversation.phone_number || '')}.</p></div>`));
     }
 
     if (action === 'reject') {
-      const incomingContext = await getLastInboundContext(dbMessage.conversation_id);
-      await rejectMessage(messageId);
-      clearPendingAction(messageId);
-
-      storeCorrection({
-        channel: 'sms',
-        action: 'reject',
-        incomingContext,
-        incomingFrom: conversation.phone_number,
-        originalDraft: dbMessage.draft_body,
-        sourceRecordId: messageId,
-        sourceTable: 'sms_messages',
-        metadata: { client_name: conversation.client_name }
-      }).catch(err => logger.warn({ err }, 'Correction storage failed (web reject)'));
+      await rejectDraft(dbMessage);
 
       logger.info({ messageId }, 'Web approval: rejected');
       return res.send(renderPage('Rejected',
@@ -377,49 +1419,102 @@ router.post('/:messageId', async (req, res) => {
   }
 });
 
-export default router;
+// ---------------------------------------------------------------------------
+// Delivery retry routes (GET/POST /:messageId/retry)
+// Linked from the Telegram delivery failure alert.
+// ---------------------------------------------------------------------------
+
+function isRetryable(dbMessage) {
+  return (dbMessage.status === 'sent' || dbMessage.status === 'approved')
+    && (dbMessage.delivery_status === 'failed' || dbMessage.delivery_status === 'undelivered')
+    && !dbMessage.next_retry_at;
+}
 
-async function executePendingAction(messageId) {
-  const pending = getPendingAction(messageId);
-  if (!pending) return { status: 'none' };
+router.get('/:messageId/retry', requireApprovalToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const dbMessage = await getMessage(messageId);
 
-  if (pending.type === 'update_menu' || pending.type === 'add_menu' || pending.type === 'remove_menu') {
-    const result = await applyMenuChange(pending.payload);
-    if (!result.ok || result.data?.status !== 'applied') {
-      return { status: 'failed', error: result.error || result.data?.error || 'Menu update failed' };
+    if (!dbMessage) {
+      return res.status(404).send(renderPage('Not Found',
+        '<div class="status-box status-warn"><h1>Message Not Found</h1><p>This retry link is invalid or the message has been deleted.</p></div>'));
     }
 
-    clearPendingAction(messageId);
-    return { status: 'applied', summary: result.data?.summary || pending.summary };
-  }
+    if (!isRetryable(dbMessage)) {
+      const current = dbMessage.delivery_status || dbMessage.status;
+      const detail = dbMessage.next_retry_at
+        ? 'An automatic retry is already scheduled.'
+        : `This message is currently ${escapeHtml(current)}.`;
+      return res.send(renderPage('Nothing to Retry',
+        `<div class="status-box status-ok"><h1>Nothing to Retry</h1><p>${detail}</p></div>`));
+    }
 
-  clearPendingAction(messageId);
-  return { status: 'none' };
-}
+    const conversation = dbMessage.sms_conversations || {};
+    const phone = conversation.phone_number || 'Unknown';
+    const clientName = conversation.client_name || '';
+    const errorCode = dbMessage.delivery_error_code;
+
+    const bodyHtml = `
+<h1>Retry Failed SMS</h1>
+<div class="label">To</div>
+<div class="value">${escapeHtml(phone)}${clientName ? ' &mdash; ' + escapeHtml(clientName) : ''}</div>
+<div class="label">Delivery Status</div>
+<div class="value">${escapeHtml(dbMessage.delivery_status)}${errorCode ? ` (Twilio error ${escapeHtml(String(errorCode))})` : ''}</div>
+<div class="label">Message</div>
+<blockquote>${escapeHtml(dbMessage.body)}</blockquote>
+<form method="POST" action="">
+  <div class="actions">
+    <button type="submit" class="btn-approve">Retry Send</button>
+  </div>
+</form>`;
+
+    res.send(renderPage('Retry SMS', bodyHtml));
+  } catch (error) {
+    logger.error({ error, messageId: req.params.messageId }, 'Error rendering retry page');
+    res.status(500).send(renderPage('Error',
+      '<div class="status-box status-err"><h1>Something went wrong</h1><p>Could not load the retry page. Please try again.</p></div>'));
+  }
+});
 
-async function syncOutboundSms({ to, body, status, providerMessageId, error, sourceMessageId }) {
+router.post('/:messageId/retry', requireApprovalToken, async (req, res) => {
+  const { messageId } = req.params;
   try {
-    const fromNumber = process.env.TWILIO_PHONE_NUMBER || '';
-    const result = await sendInboundSms({
-      from: fromNumber,
-      to,
-      body,
-      provider: 'twilio',
-      providerMessageId,
-      direction: 'outbound',
-      status,
-      receivedAt: new Date().toISOString(),
-      data: {
-        source: 'twilio-sms-skill',
-        sourceMessageId,
-        error,
-      },
-    });
+    const dbMessage = await getMessage(messageId);
+    if (!dbMessage) {
+      return res.status(404).send(renderPage('Not Found',
+        '<div class="status-box status-warn"><h1>Message Not Found</h1><p>This message no longer exists.</p></div>'));
+    }
 
-    if (!result.ok) {
-      logger.warn({ error: result.error }, 'MTL outbound SMS sync failed');
+    if (!isRetryable(dbMessage)) {
+      return res.send(renderPage('Nothing to Retry',
+        '<div class="status-box status-warn"><h1>Nothing to Retry</h1><p>This message is not in a failed state. No action taken.</p></div>'));
     }
-  } catch (syncError) {
-    logger.warn({ error: syncError }, 'MTL outbound SMS sync errored');
+
+    const conversation = dbMessage.sms_conversations || {};
+    const result = await deliverMessage(dbMessage, dbMessage.body);
+
+    if (!result.success) {
+      logger.error({ messageId, error: result.error }, 'SMS retry failed');
+      return res.status(502).send(renderPage('Retry Failed',
+        `<div class="status-box status-err"><h1>Retry Failed</h1><p>${escapeHtml(result.error)}</p></div>`));
+    }
+
+    await syncOutboundSms({
+      to: conversation.phone_number,
+      body: dbMessage.body,
+      status: 'sent',
+      providerMessageId: result.sid,
+      sourceMessageId: messageId,
+    });
+
+    logger.info({ messageId, sid: result.sid }, 'SMS resent after delivery failure');
+    return res.send(renderPage('Resent',
+      `<div class="status-box status-ok"><h1>Message Resent</h1><p>SMS resent to ${escapeHtml(conversation.phone_number || '')}.</p></div>`));
+  } catch (error) {
+    logger.error({ error, messageId }, 'Error processing SMS retry');
+    res.status(500).send(renderPage('Error',
+      '<div class="status-box status-err"><h1>Something went wrong</h1><p>The retry could not be completed. Please try again.</p></div>'));
   }
-}
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import { validateApiKey } from '../utils/validation.js';
+import { listAssets, createAsset, deactivateAsset, MAX_ASSET_BYTES, ASSET_CONTENT_TYPES } from '../services/mediaAssets.js';
+
+const router = Router();
+const logger = createLogger('assets');
+
+/**
+ * GET / - List the attachment library
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!validateApiKey(req)) {
+      logger.warn('Unauthorized asset list attempt');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const assets = await listAssets();
+    return res.status(200).json({ count: assets.length, assets });
+  } catch (error) {
+    logger.error({ error }, 'Failed to list assets');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST / - Add a file to the attachment library
+ * Body: { name: string, category?: string, content_type: string, data: string (base64) }
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!validateApiKey(req)) {
+      logger.warn('Unauthorized asset upload attempt');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { name, category, content_type, data } = req.body || {};
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'name is required and must be a non-empty string' });
+    }
+
+    if (!ASSET_CONTENT_TYPES.includes(content_type)) {
+      return res.status(400).json({ error: `content_type must be one of: ${ASSET_CONTENT_TYPES.join(', ')}` });
+    }
+
+    if (!data || typeof data !== 'string') {
+      return res.status(400).json({ error: 'data is required and must be a base64 string' });
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) {
+      return res.status(400).json({ error: 'data must be valid base64' });
+    }
+
+    if (buffer.length > MAX_ASSET_BYTES) {
+      return res.status(400).json({ error: 'File must be 5 MB or smaller (Twilio MMS limit)' });
+    }
+
+    const asset = await createAsset({
+      name: name.trim(),
+      category: typeof category === 'string' ? category.trim() : undefined,
+      contentType: content_type,
+      buffer
+    });
+
+    return res.status(201).json(asset);
+  } catch (error) {
+    logger.error({ error }, 'Failed to create asset');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /:id - Remove a file from the attachment library
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!validateApiKey(req)) {
+      logger.warn('Unauthorized asset removal attempt');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { id } = req.params;
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid asset ID format' });
+    }
+
+    const asset = await deactivateAsset(id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    return res.status(200).json(asset);
+  } catch (error) {
+    logger.error({ error, assetId: req.params.id }, 'Failed to remove asset');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import { validateApiKey } from '../utils/validation.js';
+import { getOutboxStats, listOutbox, replayOutbox, backfillRange } from '../services/mtlOutbox.js';
+import { isMtlWebhookConfigured, verifyMtlSignature, validateMtlEvent, recordMtlEvent, draftEventMessage } from '../services/mtlWebhook.js';
+
+const router = Router();
+const logger = createLogger('mtl');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// All MTL sync admin routes require the API key
+router.use('/outbox', (req, res, next) => {
+  if (!validateApiKey(req)) {
+    logger.warn({ path: req.path }, 'Unauthorized MTL outbox request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+});
+
+/**
+ * Parse { from, to } ISO dates. Returns { from, to } or { error }.
+ */
+function parseRange(body) {
+  const { from, to } = body || {};
+  const fromMs = typeof from === 'string' ? Date.parse(from) : NaN;
+  const toMs = typeof to === 'string' ? Date.parse(to) : NaN;
+
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return { error: 'from and to are required ISO 8601 dates' };
+  }
+  if (fromMs > toMs) {
+    return { error: 'from must be before to' };
+  }
+  return { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString() };
+}
+
+function parseLimit(value) {
+  return Math.min(Math.max(parseInt(value || '100', 10) || 100, 1), 500);
+}
+
+/**
+ * GET /outbox - Pending and dead-letter counts
+ */
+router.get('/outbox', async (req, res) => {
+  try {
+    return res.json(await getOutboxStats());
+  } catch (error) {
+    logger.error({ error }, 'Failed to get MTL outbox stats');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /outbox/backlog - Rows still waiting to reach the MTL app
+ */
+router.get('/outbox/backlog', async (req, res) => {
+  try {
+    const rows = await listOutbox('pending', parseLimit(req.query.limit));
+    return res.json({ count: rows.length, rows });
+  } catch (error) {
+    logger.error({ error }, 'Failed to list MTL outbox backlog');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /outbox/dead - Rows that gave up after repeated failures
+ */
+router.get('/outbox/dead', async (req, res) => {
+  try {
+    const rows = await listOutbox('dead', parseLimit(req.query.limit));
+    return res.json({ count: rows.length, rows });
+  } catch (error) {
+    logger.error({ error }, 'Failed to list MTL outbox dead letters');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /outbox/replay - Requeue dead letters
+ * Body: { ids: string[] } or { from, to, includeSent?: boolean }
+ */
+router.post('/outbox/replay', async (req, res) => {
+  try {
+    const { ids, includeSent } = req.body || {};
+
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && uuidRegex.test(id))) {
+        return res.status(400).json({ error: 'ids must be a non-empty array of UUIDs' });
+      }
+      const count = await replayOutbox({ ids, includeSent: includeSent === true });
+      return res.json({ requeued: count });
+    }
+
+    const range = parseRange(req.body);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const count = await replayOutbox({ from: range.from, to: range.to, includeSent: includeSent === true });
+    return res.json({ requeued: count, from: range.from, to: range.to });
+  } catch (error) {
+    logger.error({ error }, 'Failed to replay MTL outbox');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /outbox/backfill - Queue every stored SMS in a date range
+ * Body: { from, to }
+ */
+router.post('/outbox/backfill', async (req, res) => {
+  try {
+    const range = parseRange(req.body);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const count = await backfillRange(range.from, range.to);
+    return res.status(202).json({ queued: count, from: range.from, to: range.to });
+  } catch (error) {
+    logger.error({ error }, 'Failed to backfill MTL outbox');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /webhook - Event lifecycle notifications from the MTL app
+ * Headers: x-mtl-timestamp (unix ms), x-mtl-signature (hex HMAC-SHA256 of "<timestamp>.<body>")
+ * Body: { id, type, phone, clientName?, eventId?, eventName?, eventDate?, previousEventDate?,
+ *         amount?, menu?: string[], draftSms?: boolean }
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!isMtlWebhookConfigured()) {
+      logger.error('MTL_WEBHOOK_SECRET is not set');
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    if (!verifyMtlSignature(req.rawBody?.toString('utf8'), req.headers['x-mtl-timestamp'], req.headers['x-mtl-signature'])) {
+      logger.warn('Invalid MTL webhook signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const validationError = validateMtlEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { event, conversation, duplicate } = await recordMtlEvent(req.body);
+    if (duplicate) {
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+
+    res.status(202).json({ ok: true, eventId: event.id, conversationId: conversation.id });
+
+    // Drafting calls the LLM -- continue after responding
+    await draftEventMessage(event, conversation, { draftSms: req.body.draftSms !== false });
+  } catch (error) {
+    logger.error({ error }, 'Error processing MTL webhook');
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+export default router;
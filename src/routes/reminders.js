@@ -1,14 +1,26 @@
 import { Router } from 'express';
 import { createLogger } from '../utils/logger.js';
-import { validateApiKey } from '../utils/validation.js';
-import { createReminder, listPendingReminders, cancelReminder } from '../services/reminderScheduler.js';
+import { validateApiKey, sanitizePhoneNumber } from '../utils/validation.js';
+import { createReminder, listPendingReminders, cancelReminder, validateDeliveryChain } from '../services/reminderScheduler.js';
+import { validateClientReminder } from '../services/clientReminders.js';
+import { buildRecurrence } from '../services/recurrence.js';
 
 const router = Router();
 const logger = createLogger('reminders');
 
+// call: reminder to Ashley (a Vapi call, or the deliver_via chain); sms: SMS to a client,
+// drafted for approval or auto-send
+const CHANNELS = ['call', 'sms'];
+
 /**
  * POST / - Create a reminder
- * Body: { message: string, scheduled_for: string (ISO 8601) }
+ * Body: { message: string, scheduled_for: string (ISO 8601), channel?: 'call'|'sms' }
+ * Reminders to Ashley take { deliver_via?: ['telegram'|'sms'|'call', ...] (tried in order
+ * until she acknowledges), escalate_after_minutes?: number (default 10) }.
+ * SMS reminders also take { recipient (phone) or event_id, template?, params?,
+ * delivery?: 'approval'|'auto', language?: 'fr'|'en' }; message is optional with a template.
+ * Recurring reminders add { recurrence: RRULE (e.g. 'FREQ=WEEKLY;BYDAY=MO'), until?: date or
+ * ISO datetime, count?: number }; scheduled_for sets the time of day and the earliest start.
  */
 router.post('/', async (req, res) => {
   try {
@@ -17,10 +29,32 @@ router.post('/', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const { message, scheduled_for } = req.body;
+    const { message, scheduled_for, channel = 'call' } = req.body;
+
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+
+    // SMS reminders: recipient, template and delivery (the template supplies the text)
+    let smsFields = null;
+    if (channel === 'sms') {
+      const { fields, error } = await validateClientReminder(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      smsFields = fields;
+    }
+
+    // Reminders to Ashley: which channels to use, escalating until acknowledged
+    const { fields: deliveryFields, error: deliveryError } = channel === 'sms'
+      ? { fields: {} }
+      : validateDeliveryChain(req.body);
+    if (deliveryError) {
+      return res.status(400).json({ error: deliveryError });
+    }
 
     // Validate message
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    if (!smsFields && (!message || typeof message !== 'string' || message.trim().length === 0)) {
       return res.status(400).json({ error: 'Message is required and must be a non-empty string' });
     }
 
@@ -40,13 +74,21 @@ router.post('/', async (req, res) => {
     }
 
     // Limit message length
-    if (message.trim().length > 500) {
+    const text = smsFields ? smsFields.message : message.trim();
+    if (text.length > 500) {
       return res.status(400).json({ error: 'Message must be 500 characters or fewer' });
     }
 
-    const reminder = await createReminder(message.trim(), scheduledDate);
+    // Recurrence: the first occurrence on or after scheduled_for
+    const { recurrence, until, count } = req.body;
+    const { fields: recurrenceFields, first, error: recurrenceError } = buildRecurrence({ recurrence, until, count }, scheduledDate);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+
+    const reminder = await createReminder(text, first, { ...smsFields, ...deliveryFields, ...recurrenceFields });
 
-    logger.info({ reminderId: reminder.id, scheduledFor: scheduled_for }, 'Reminder created');
+    logger.info({ reminderId: reminder.id, scheduledFor: first, channel, recurrence: recurrenceFields.recurrence }, 'Reminder created');
     return res.status(201).json(reminder);
   } catch (error) {
     logger.error({ error, body: req.body }, 'Failed to create reminder');
@@ -55,7 +97,8 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET / - List pending reminders
+ * GET / - List pending reminders (including ones being delivered or awaiting acknowledgement)
+ * Query: channel (call|sms), recipient (phone number)
  */
 router.get('/', async (req, res) => {
   try {
@@ -64,7 +107,15 @@ router.get('/', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const reminders = await listPendingReminders();
+    const { channel, recipient } = req.query;
+    if (channel && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+
+    const reminders = await listPendingReminders({
+      channel,
+      recipient: recipient ? sanitizePhoneNumber(String(recipient)) : undefined
+    });
 
     logger.info({ count: reminders.length }, 'Listed pending reminders');
     return res.status(200).json({ count: reminders.length, reminders });
@@ -75,7 +126,7 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * DELETE /:id - Cancel a reminder
+ * DELETE /:id - Cancel a reminder, stopping any escalation in progress
  */
 router.delete('/:id', async (req, res) => {
   try {
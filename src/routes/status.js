@@ -2,10 +2,15 @@ import { Router } from 'express';
 import { createLogger } from '../utils/logger.js';
 import { validateTwilioSignature } from '../utils/validation.js';
 import { emptyTwiml } from '../services/twilio.js';
+import { recordDeliveryStatus } from '../services/supabase.js';
+import { handleDeliveryFailure } from '../services/deliveryRetry.js';
+import { syncDeliveryStatus } from '../services/mtlOutbox.js';
 
 const router = Router();
 const logger = createLogger('status');
 
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed'];
+
 router.post('/', async (req, res) => {
   res.type('text/xml');
 
@@ -27,20 +32,36 @@ router.post('/', async (req, res) => {
       error: ErrorCode
     }, 'Delivery status update');
 
-    // Log failures for debugging
+    // Respond immediately; persistence and alerts continue in background
+    res.send(emptyTwiml());
+
+    const dbMessage = await recordDeliveryStatus(MessageSid, MessageStatus, ErrorCode);
+    if (!dbMessage) {
+      logger.warn({ sid: MessageSid }, 'No message found for status callback');
+      return;
+    }
+
     if (MessageStatus === 'failed' || MessageStatus === 'undelivered') {
       logger.error({
         sid: MessageSid,
+        messageId: dbMessage.id,
         to: To,
         errorCode: ErrorCode
       }, 'SMS delivery failed');
+
+      // Schedules a retry, or notifies Telegram if we give up
+      await handleDeliveryFailure(dbMessage, MessageStatus, ErrorCode, MessageSid);
     }
 
-    res.send(emptyTwiml());
+    if (FINAL_STATUSES.includes(MessageStatus)) {
+      await syncDeliveryStatus(dbMessage, MessageStatus, ErrorCode, To);
+    }
 
   } catch (error) {
     logger.error({ error }, 'Error processing status callback');
-    res.send(emptyTwiml());
+    if (!res.headersSent) {
+      res.send(emptyTwiml());
+    }
   }
 });
 
@@ -4,7 +4,9 @@ import { createClient } from '@supabase/supabase-js';
 import { createLogger } from '../utils/logger.js';
 import { sendMessage } from '../services/telegram.js';
 import { searchMemoriesPgvector } from '../services/pgvector.js';
-import { createReminder } from '../services/reminderScheduler.js';
+import { createReminder, acknowledgeReminder, validateDeliveryChain } from '../services/reminderScheduler.js';
+import { buildRecurrence, parseRepeatPhrase, describeRecurrence } from '../services/recurrence.js';
+import { formatSendTime } from '../services/scheduledSend.js';
 
 const router = Router();
 const logger = createLogger('vapi-tools');
@@ -74,6 +76,9 @@ router.post('/tools', async (req, res) => {
         case 'create_reminder':
           result = await handleCreateReminder(args);
           break;
+        case 'acknowledge_reminder':
+          result = await handleAcknowledgeReminder(req.body.message?.call);
+          break;
         case 'move_event':
           result = await handleMoveEvent(args);
           break;
@@ -370,23 +375,54 @@ async function handleSearchMemory(args) {
 
 /**
  * create_reminder - Personal tool
+ * Optional repeat ("every Monday", "weekdays", "first of the month" or an RRULE),
+ * until (a date) and count (number of times) make it recurring. Optional via ("telegram",
+ * "text", "telegram then call") picks the channels, escalating until she confirms.
  */
 async function handleCreateReminder(args) {
-  const { message, time } = args;
+  const { message, time, repeat, until, via } = args;
+  const count = args.count ?? args.times;
   if (!message || !time) {
     return 'I need to know what to remind you about and when.';
   }
 
+  const { fields: deliveryFields, error: deliveryError } = validateDeliveryChain({ deliver_via: via || undefined });
+  if (deliveryError) {
+    return 'I can remind you on Telegram, by text, or with a call. Which one?';
+  }
+  const how = describeDelivery(deliveryFields.deliver_via);
+
   const scheduledFor = parseNaturalTime(time);
   if (!scheduledFor) {
     return "I couldn't figure out that time. Try something like 3pm, in 30 minutes, or tomorrow at 9am.";
   }
 
+  if (repeat) {
+    const recurrence = parseRepeatPhrase(repeat);
+    if (!recurrence) {
+      return "I couldn't figure out how often. Try daily, weekdays, every Monday, or the first of the month.";
+    }
+
+    // "every Monday at 9am" starts at the next Monday at 9, even if today's 9am has passed
+    const { fields, first, error } = buildRecurrence({
+      recurrence,
+      until: until ? resolveDate(until) : undefined,
+      count: count !== undefined ? parseInt(count, 10) : undefined
+    }, scheduledFor);
+    if (error) {
+      logger.warn({ repeat, until, count, error }, 'Invalid recurring reminder');
+      return "I couldn't set up that repeating reminder. Check the end date or number of times.";
+    }
+
+    await createReminder(message, first, { ...deliveryFields, ...fields });
+    return `Done. I'll ${how.first} ${describeRecurrence(fields.recurrence)}, starting ${formatSendTime(first)}, to remind you: ${message}${how.then}.`;
+  }
+
   if (scheduledFor <= new Date()) {
     return "That time has already passed. Give me a future time.";
   }
 
-  const reminder = await createReminder(message, scheduledFor);
+  await createReminder(message, scheduledFor, deliveryFields);
 
   const timeStr = scheduledFor.toLocaleTimeString('en-US', {
     hour: 'numeric',
@@ -395,7 +431,34 @@ async function handleCreateReminder(args) {
     timeZone: ASHLEY_TZ
   });
 
-  return `Done. I'll call you at ${timeStr} to remind you: ${message}.`;
+  return `Done. I'll ${how.first} at ${timeStr} to remind you: ${message}${how.then}.`;
+}
+
+/**
+ * Spoken description of a delivery chain: { first: 'message you on Telegram',
+ * then: ", then call you if you don't confirm" }
+ */
+function describeDelivery(chain = ['call']) {
+  const verbs = { telegram: 'message you on Telegram', sms: 'text you', call: 'call you' };
+  const [first, ...rest] = chain.map(via => verbs[via]);
+  return {
+    first,
+    then: rest.length > 0 ? `, then ${rest.join(', then ')} if you don't confirm` : ''
+  };
+}
+
+/**
+ * acknowledge_reminder - Ashley pressed a key (or said she got it) on a reminder call.
+ * The reminder ID comes from the call's metadata, set when the call was placed.
+ */
+async function handleAcknowledgeReminder(call) {
+  const reminderId = call?.metadata?.reminderId;
+  if (!reminderId) {
+    return "There's no reminder on this call to confirm.";
+  }
+
+  const reminder = await acknowledgeReminder(reminderId, 'call');
+  return reminder ? "Got it, I won't bug you about it again." : "I couldn't find that reminder.";
 }
 
 /**
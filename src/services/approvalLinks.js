@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('approval-links');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const APP_BASE_URL = process.env.APP_BASE_URL || 'https://twilio-sms-production-b6b8.up.railway.app';
+const TTL_HOURS = parseInt(process.env.APPROVAL_LINK_TTL_HOURS || '48', 10);
+const REVOKED_BEFORE_KEY = 'approval_links_revoked_before';
+
+// Token subject for the queue dashboard (message links use the message ID)
+export const QUEUE_SUBJECT = 'queue';
+
+/**
+ * Whether approval links can be signed/verified (APPROVAL_LINK_SECRET is set)
+ */
+export function isApprovalLinkConfigured() {
+  return Boolean(process.env.APPROVAL_LINK_SECRET);
+}
+
+/**
+ * Sign a token bound to a message ID: "<issuedAt>.<expiresAt>.<signature>"
+ * Timestamps are unix milliseconds.
+ */
+export function signApprovalToken(messageId, ttlHours = TTL_HOURS) {
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + ttlHours * 3600 * 1000;
+  const signature = computeSignature(messageId, issuedAt, expiresAt);
+  return `${issuedAt}.${expiresAt}.${signature}`;
+}
+
+/**
+ * Build a signed web approval URL, e.g. createApprovalLink(id, '/retry')
+ */
+export function createApprovalLink(messageId, suffix = '') {
+  if (!isApprovalLinkConfigured()) {
+    logger.error('APPROVAL_LINK_SECRET is not set, approval link will be rejected');
+    return `${APP_BASE_URL}/approval/${messageId}${suffix}`;
+  }
+
+  const token = signApprovalToken(messageId);
+  return `${APP_BASE_URL}/approval/${messageId}${suffix}?t=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Build a signed link to the approval queue dashboard
+ */
+export function createQueueLink() {
+  if (!isApprovalLinkConfigured()) {
+    logger.error('APPROVAL_LINK_SECRET is not set, queue link will be rejected');
+    return `${APP_BASE_URL}/approval/queue`;
+  }
+
+  const token = signApprovalToken(QUEUE_SUBJECT);
+  return `${APP_BASE_URL}/approval/queue?t=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verify a token for a message (or the queue): signature, expiry and revocation.
+ * Returns { valid: true } or { valid: false, reason }.
+ */
+export async function verifyApprovalToken(messageId, token) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const [issuedAtStr, expiresAtStr, signature] = token.split('.');
+  const issuedAt = parseInt(issuedAtStr, 10);
+  const expiresAt = parseInt(expiresAtStr, 10);
+  if (!issuedAt || !expiresAt || !signature) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = computeSignature(messageId, issuedAt, expiresAt);
+  const expectedBuf = Buffer.from(expected);
+  const providedBuf = Buffer.from(signature);
+  if (expectedBuf.length !== providedBuf.length || !crypto.timingSafeEqual(expectedBuf, providedBuf)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (Date.now() > expiresAt) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const revokedBefore = await getRevokedBefore(messageId);
+  if (revokedBefore && issuedAt < revokedBefore) {
+    return { valid: false, reason: 'revoked' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Revoke outstanding links: for one message if messageId is given, otherwise all links.
+ * Links issued after this call remain valid.
+ */
+export async function revokeApprovalLinks(messageId = null) {
+  const now = new Date().toISOString();
+
+  const { error } = messageId
+    ? await supabase
+      .from('sms_messages')
+      .update({ approval_links_revoked_at: now })
+      .eq('id', messageId)
+    : await supabase
+      .from('user_context')
+      .upsert({ key: REVOKED_BEFORE_KEY, value: now }, { onConflict: 'key' });
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to revoke approval links');
+    throw error;
+  }
+
+  logger.info({ messageId: messageId || 'all' }, 'Approval links revoked');
+  return now;
+}
+
+function computeSignature(messageId, issuedAt, expiresAt) {
+  return crypto
+    .createHmac('sha256', process.env.APPROVAL_LINK_SECRET)
+    .update(`${messageId}.${issuedAt}.${expiresAt}`)
+    .digest('base64url');
+}
+
+/**
+ * Latest revocation time (unix ms) affecting this message, global or per-message
+ */
+async function getRevokedBefore(messageId) {
+  const [{ data: global }, { data: message }] = await Promise.all([
+    supabase
+      .from('user_context')
+      .select('value')
+      .eq('key', REVOKED_BEFORE_KEY)
+      .maybeSingle(),
+    messageId === QUEUE_SUBJECT
+      ? Promise.resolve({ data: null })
+      : supabase
+        .from('sms_messages')
+        .select('approval_links_revoked_at')
+        .eq('id', messageId)
+        .maybeSingle()
+  ]);
+
+  const times = [global?.value, message?.approval_links_revoked_at]
+    .filter(Boolean)
+    .map(t => Date.parse(t))
+    .filter(t => !Number.isNaN(t));
+
+  return times.length > 0 ? Math.max(...times) : null;
+}
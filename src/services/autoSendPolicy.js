@@ -0,0 +1,210 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { nextSendWindow } from './scheduledSend.js';
+
+const logger = createLogger('auto-send');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Settings in user_context (string values); the kill switch is off until turned on
+const POLICY_KEYS = {
+  enabled: 'auto_send_enabled',
+  minScore: 'auto_send_min_score',
+  holdMinutes: 'auto_send_hold_minutes',
+  categories: 'auto_send_categories'
+};
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  minScore: 0.85,
+  holdMinutes: 10,
+  categories: ['bar_service', 'workshop']
+};
+
+// Anything about money goes to Ashley
+const PRICING_PATTERN = /\$|\d+\s*(dollars?|bucks)\b|\b(price|pricing|cost|costs|rate|rates|quote|budget|deposit|invoice|prix|tarifs?|co[uû]ts?|combien|d[ée]p[oô]t|soumission)\b/i;
+
+/**
+ * Current auto-send policy: { enabled, minScore, holdMinutes, categories }
+ */
+export async function getAutoSendPolicy() {
+  const { data, error } = await supabase
+    .from('user_context')
+    .select('key, value')
+    .in('key', Object.values(POLICY_KEYS));
+
+  if (error) {
+    logger.error({ error }, 'Failed to load auto-send policy, auto-send disabled');
+    return { ...DEFAULT_POLICY, enabled: false };
+  }
+
+  const values = Object.fromEntries((data || []).map(row => [row.key, row.value]));
+  const minScore = parseFloat(values[POLICY_KEYS.minScore]);
+  const holdMinutes = parseInt(values[POLICY_KEYS.holdMinutes], 10);
+  const categories = values[POLICY_KEYS.categories];
+
+  return {
+    enabled: values[POLICY_KEYS.enabled] === 'true',
+    minScore: Number.isNaN(minScore) ? DEFAULT_POLICY.minScore : minScore,
+    holdMinutes: Number.isNaN(holdMinutes) ? DEFAULT_POLICY.holdMinutes : holdMinutes,
+    categories: typeof categories === 'string'
+      ? categories.split(',').map(c => c.trim()).filter(Boolean)
+      : DEFAULT_POLICY.categories
+  };
+}
+
+/**
+ * Update some policy settings. Returns the updated policy.
+ */
+export async function updateAutoSendPolicy(changes) {
+  const rows = [];
+  if (changes.enabled !== undefined) rows.push({ key: POLICY_KEYS.enabled, value: String(Boolean(changes.enabled)) });
+  if (changes.minScore !== undefined) rows.push({ key: POLICY_KEYS.minScore, value: String(changes.minScore) });
+  if (changes.holdMinutes !== undefined) rows.push({ key: POLICY_KEYS.holdMinutes, value: String(changes.holdMinutes) });
+  if (changes.categories !== undefined) rows.push({ key: POLICY_KEYS.categories, value: changes.categories.join(',') });
+
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from('user_context')
+      .upsert(rows, { onConflict: 'key' });
+
+    if (error) {
+      logger.error({ error }, 'Failed to update auto-send policy');
+      throw error;
+    }
+  }
+
+  const policy = await getAutoSendPolicy();
+  logger.info({ policy }, 'Auto-send policy updated');
+  return policy;
+}
+
+/**
+ * Validate a policy update body. Returns { changes } or { error }.
+ */
+export function parsePolicyChanges(body) {
+  const changes = {};
+  if (!body || typeof body !== 'object') return { error: 'Body must be a JSON object' };
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    changes.enabled = body.enabled;
+  }
+  if (body.minScore !== undefined) {
+    if (typeof body.minScore !== 'number' || body.minScore < 0 || body.minScore > 1) return { error: 'minScore must be between 0 and 1' };
+    changes.minScore = body.minScore;
+  }
+  if (body.holdMinutes !== undefined) {
+    if (!Number.isInteger(body.holdMinutes) || body.holdMinutes < 1 || body.holdMinutes > 24 * 60) {
+      return { error: 'holdMinutes must be a whole number from 1 to 1440' };
+    }
+    changes.holdMinutes = body.holdMinutes;
+  }
+  if (body.categories !== undefined) {
+    if (!Array.isArray(body.categories) || !body.categories.every(c => typeof c === 'string' && c)) {
+      return { error: 'categories must be an array of inquiry types' };
+    }
+    changes.categories = body.categories;
+  }
+
+  return { changes };
+}
+
+/**
+ * Score a draft from 0 to 1 and list what stops it from being auto-sent.
+ * signals: { inquiryType, templateUsed, correctionRuleCount, incomingMessage, draftReply,
+ *            hasPendingAction, hasMedia }
+ * Returns { score, reasons, blockers }.
+ * A routine reply with nothing flagged scores 0.9, above the default 0.85 threshold; any
+ * one deduction (a matched correction rule, a long client message) holds it back.
+ */
+export function scoreDraft(signals, policy) {
+  const reasons = [];
+  const blockers = [];
+  let score = 0.9;
+
+  if (signals.templateUsed) {
+    score += 0.05;
+    reasons.push('first-message template');
+  }
+
+  const rules = signals.correctionRuleCount || 0;
+  if (rules > 0) {
+    score -= Math.min(0.3, 0.1 * rules);
+    reasons.push(`${rules} correction rule${rules === 1 ? '' : 's'} matched`);
+  }
+
+  if ((signals.incomingMessage || '').length > 280) {
+    score -= 0.1;
+    reasons.push('long client message');
+  }
+
+  if (!policy.categories.includes(signals.inquiryType)) {
+    blockers.push(`inquiry type "${signals.inquiryType}" not allowlisted`);
+  }
+  if (PRICING_PATTERN.test(signals.incomingMessage || '') || PRICING_PATTERN.test(signals.draftReply || '')) {
+    blockers.push('pricing mentioned');
+  }
+  if (signals.hasPendingAction) {
+    blockers.push('menu change pending');
+  }
+  if (signals.hasMedia) {
+    blockers.push('client sent attachments');
+  }
+
+  return { score: Math.round(Math.max(0, Math.min(1, score)) * 100) / 100, reasons, blockers };
+}
+
+/**
+ * Decide whether a draft may be auto-sent under the current policy.
+ * Returns { autoSend, score, reasons, blockers, holdMinutes }.
+ */
+export async function evaluateAutoSend(signals) {
+  const policy = await getAutoSendPolicy();
+  const { score, reasons, blockers } = scoreDraft(signals, policy);
+
+  if (!policy.enabled) {
+    return { autoSend: false, score, reasons, blockers: ['auto-send is off', ...blockers], holdMinutes: policy.holdMinutes };
+  }
+
+  if (score < policy.minScore) {
+    blockers.push(`score ${score} below ${policy.minScore}`);
+  }
+
+  return { autoSend: blockers.length === 0, score, reasons, blockers, holdMinutes: policy.holdMinutes };
+}
+
+/**
+ * Approve a draft and schedule it for the end of the hold window (pushed past quiet hours).
+ * It can be sent early or cancelled like any scheduled send. Returns the send time.
+ * Approval and scheduling are one update, so a failure leaves the draft pending approval.
+ */
+export async function queueAutoSend(messageId, body, holdMinutes, metadata = {}) {
+  const sendAt = nextSendWindow(new Date(Date.now() + holdMinutes * 60_000));
+
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .update({
+      body,
+      status: 'scheduled',
+      approved_at: new Date().toISOString(),
+      scheduled_for: sendAt.toISOString(),
+      // Flag it as queued by auto-send, so its delivery is labelled "Auto-sent"
+      metadata: { ...metadata, auto_send: { ...metadata?.auto_send, queued: true } }
+    })
+    .eq('id', messageId)
+    .eq('status', 'pending_approval')
+    .select('id')
+    .maybeSingle();
+
+  if (error || !data) {
+    logger.error({ error, messageId }, 'Failed to queue draft for auto-send');
+    throw error || new Error('Draft is no longer pending approval');
+  }
+
+  logger.info({ messageId, sendAt: sendAt.toISOString() }, 'Draft queued for auto-send');
+  return sendAt;
+}
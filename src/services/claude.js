@@ -1,12 +1,11 @@
-import Anthropic from '@anthropic-ai/sdk';
 import { createLogger } from '../utils/logger.js';
+import { complete } from './llm.js';
+import { describeLeadProfile, getMissingLeadFields } from './leadProfile.js';
+import { detectLanguage } from './language.js';
+import { selectRecentTurns } from './conversationSummary.js';
 
 const logger = createLogger('claude');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
-
 /**
  * Generate a draft reply to an SMS
  */
@@ -18,16 +17,27 @@ export async function generateDraftReply(params) {
     conversationHistory,
     calendarContext,
     actionContext,
-    correctionRules
+    correctionRules,
+    mediaDescriptions,
+    leadProfile,
+    language,
+    conversationSummary,
+    followUp,
+    inquiryType
   } = params;
 
+  // No client message to answer: a nudge after they went quiet (see followUps.js)
+  if (followUp) {
+    return generateNudgeReply({ clientName, conversationHistory, conversationSummary, leadProfile, language, followUp });
+  }
+
   // History includes the just-stored inbound message, so <= 1 means first contact.
   const isFirstMessage = !conversationHistory || conversationHistory.length <= 1;
 
   // First messages use a dedicated simple prompt to ensure template adherence.
   // Follow-ups use the full prompt with business context for natural conversation.
   if (isFirstMessage) {
-    return generateFirstMessageReply(incomingMessage, clientName, correctionRules);
+    return generateFirstMessageReply(incomingMessage, clientName, language, inquiryType);
   }
 
   return generateFollowUpReply({
@@ -37,23 +47,44 @@ export async function generateDraftReply(params) {
     conversationHistory,
     calendarContext,
     actionContext,
-    correctionRules
+    correctionRules,
+    mediaDescriptions,
+    leadProfile,
+    language,
+    conversationSummary,
+    inquiryType
   });
 }
 
 /**
- * Detect language of incoming message (French vs English)
+ * Classify an inquiry ('workshop', 'bar_service' or 'unknown') with the classification
+ * route. The keyword match (detectInquiryType) decides when the model fails or can't tell.
  */
-function detectLanguage(text) {
-  if (!text) return 'en';
-  const frenchPattern = /[àâéèêëïîôùûüç]|bonjour|salut|merci|disponible|prix|réserv|bonsoir|combien|cherche|fête|soirée|mariage|événement|personne|barman|cocktail pour/i;
-  return frenchPattern.test(text) ? 'fr' : 'en';
+export async function classifyInquiryType(text) {
+  const keywordType = detectInquiryType(text);
+  if (!text) return keywordType;
+
+  try {
+    const answer = await complete('classification', {
+      system: `Classify an SMS to MTL Craft Cocktails, a Montreal mobile bartending service, in French or English.
+Answer with one label only:
+- workshop: a cocktail class or workshop (team building, bachelorette activity, learning to make cocktails)
+- bar_service: bartenders or a bar for an event (wedding, party, corporate event, gala)
+- unknown: anything else, or not enough to tell`,
+      messages: [{ role: 'user', content: text }]
+    });
+    const label = answer.trim().toLowerCase().replace(/[^a-z_]/g, '');
+    if (label === 'workshop' || label === 'bar_service') return label;
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Inquiry classification failed, using keywords');
+  }
+  return keywordType;
 }
 
 /**
- * Detect inquiry type from message
+ * Detect inquiry type from message keywords ('workshop', 'bar_service' or 'unknown')
  */
-function detectInquiryType(text) {
+export function detectInquiryType(text) {
   if (!text) return 'unknown';
   const lower = text.toLowerCase();
   if (/workshop|class|mixolog|team.?build|bachelorette.?activ|learn|cours|atelier|appren/i.test(lower)) {
@@ -70,9 +101,9 @@ function detectInquiryType(text) {
  * No LLM needed -- the template is filled in programmatically.
  * Questions the client already answered are removed.
  */
-function generateFirstMessageReply(incomingMessage, clientName) {
-  const lang = detectLanguage(incomingMessage);
-  const type = detectInquiryType(incomingMessage);
+function generateFirstMessageReply(incomingMessage, clientName, language, inquiryType) {
+  const lang = language?.lang || detectLanguage(incomingMessage);
+  const type = inquiryType || detectInquiryType(incomingMessage);
   const name = clientName || '';
 
   const template = getFirstMessageTemplate(type, lang, name, incomingMessage);
@@ -188,14 +219,33 @@ async function generateFollowUpReply(params) {
     conversationHistory,
     calendarContext,
     actionContext,
-    correctionRules
+    correctionRules,
+    mediaDescriptions,
+    leadProfile,
+    language,
+    conversationSummary,
+    inquiryType
   } = params;
 
-  const lang = detectLanguage(incomingMessage);
+  // language is the conversation's resolved language (see language.js); a single short
+  // message like "ok sounds good" should not flip it
+  const lang = language?.lang || detectLanguage(incomingMessage);
+  const mixedNote = language?.mixed
+    ? ` The client mixes French and English; still reply in ${lang === 'fr' ? 'French' : 'English'} only.`
+    : '';
+
+  // With a lead profile the prompt lists exactly what we know and what is still missing
+  const knownDetails = leadProfile ? describeLeadProfile(leadProfile) : [];
+  const missingDetails = leadProfile ? getMissingLeadFields(leadProfile, inquiryType || detectInquiryType(incomingMessage)) : [];
+  const qualifyingRule = leadProfile
+    ? (missingDetails.length > 0
+      ? `- Still missing: ${missingDetails.join(', ')}. Ask only for these (at most two or three at a time). Never re-ask what is known.`
+      : '- We have every qualifying detail. Do not ask for more; offer to send the proposal.')
+    : '- If qualifying info is still missing (date, location, time range, bar rental vs setup, glassware, alcohol supply, email), ask for it.';
 
   const system = `You are Max, the AI assistant for MTL Craft Cocktails, a mobile bartending service in Montreal.
 
-LANGUAGE (MANDATORY): Reply in ${lang === 'fr' ? 'French' : 'English'} only. Do NOT switch languages.
+LANGUAGE (MANDATORY): Reply in ${lang === 'fr' ? 'French' : 'English'} only. Do NOT switch languages.${mixedNote}
 
 TONE & STYLE:
 - Professional but warm. Use "we" not "I" or "Ashley".
@@ -205,7 +255,7 @@ TONE & STYLE:
 
 FOLLOW-UP RULES:
 - Answer their question directly. Don't re-ask qualifying questions already answered.
-- If qualifying info is still missing (date, location, time range, bar rental vs setup, glassware, alcohol supply, email), ask for it.
+${qualifyingRule}
 - Do NOT quote pricing, rates, or per-person costs unless the client EXPLICITLY asks "how much" or "what's the price". We send pricing in the proposal.
 - Do NOT list what's included in our packages. Just ask what's missing and offer to send the proposal.
 - For bar service: If they chose Tailored (supply own alcohol) + real glassware, ask if they're serving wine (we need wine glasses). If they chose open bar with us, ask if they want wine included.
@@ -221,50 +271,89 @@ PAYMENT (only if asked): Credit card via payment link. No e-transfers.
 Business context (reference only -- do NOT quote pricing from here unless the client asks):
 ${businessContext}
 
+${knownDetails.length > 0 ? `\nKNOWN DETAILS (from the conversation so far):\n${knownDetails.map(d => `- ${d}`).join('\n')}\n` : ''}
 ${actionContext ? `\nAction context:\n${actionContext}\n` : ''}
 ${correctionRules?.length > 0 ? `\nCORRECTION RULES (learned from past edits -- follow strictly):\n${correctionRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}\n` : ''}
 Output ONLY the message text. No labels, no quotes, no formatting markers.`;
 
-  let userPrompt = '';
-  if (conversationHistory && conversationHistory.length > 0) {
-    userPrompt += 'Previous messages:\n';
-    for (const msg of conversationHistory.slice(-5)) {
-      const direction = msg.direction === 'inbound' ? 'Client' : 'Max';
-      userPrompt += `${direction}: ${msg.body}\n`;
-    }
-    userPrompt += '\n';
-  }
+  let userPrompt = buildHistoryPrompt(conversationHistory, conversationSummary);
 
   if (calendarContext) {
     userPrompt += `Calendar info: ${calendarContext}\n\n`;
   }
 
   const name = clientName || 'Client';
-  userPrompt += `New message from ${name}:\n"${incomingMessage}"\n\nReply naturally:`;
+  userPrompt += `New message from ${name}:\n"${incomingMessage}"\n\n`;
+
+  if (mediaDescriptions?.length > 0) {
+    userPrompt += `Attachments sent with this message:\n${mediaDescriptions.map(d => `- ${d}`).join('\n')}\n\n`;
+  }
+
+  userPrompt += 'Reply naturally:';
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 600,
+    const text = await complete('draft', {
       system,
       messages: [{ role: 'user', content: userPrompt }]
     });
 
-    const draft = response.content[0].text.trim().replace(/^["']|["']$/g, '').trim();
+    const draft = text.trim().replace(/^["']|["']$/g, '').trim();
     logger.info({ length: draft.length }, 'Generated follow-up draft');
     return draft;
   } catch (error) {
     logger.error({ error }, 'Failed to generate follow-up draft');
-    return generateFallbackReply(incomingMessage);
+    return generateFallbackReply(incomingMessage, lang);
+  }
+}
+
+/**
+ * Draft a short nudge for a client who stopped replying. Written in the conversation's
+ * language, or in both French and English when it is not known yet.
+ */
+async function generateNudgeReply({ clientName, conversationHistory, conversationSummary, leadProfile, language, followUp }) {
+  const lang = language?.lang || null;
+  const languageRule = lang
+    ? `Reply in ${lang === 'fr' ? 'French' : 'English'} only.`
+    : 'Write it in French first, then the same message in English, separated by a blank line.';
+  const missingDetails = leadProfile ? getMissingLeadFields(leadProfile) : [];
+  const isLast = followUp.attempt >= followUp.total;
+
+  const system = `You are Max, the AI assistant for MTL Craft Cocktails, a mobile bartending service in Montreal.
+The client has not replied for ${followUp.daysSilent} days. Write a short, polite follow-up SMS.
+${languageRule}
+Tone: professional, warm, never pushy. Use "we" not "I" or "Ashley". No emojis. No filler. Two sentences at most per language.
+${isLast ? 'This is the last follow-up: say we will not keep messaging and they can reply whenever they are ready.' : 'Refer to what they asked about, and offer to help with the next step.'}
+${missingDetails.length > 0 ? `If it fits, ask for at most one missing detail (${missingDetails.slice(0, 3).join(', ')}).` : ''}
+Do NOT quote pricing or dollar amounts.
+Output ONLY the message text. No labels, no quotes, no formatting markers.`;
+
+  let userPrompt = buildHistoryPrompt(conversationHistory, conversationSummary);
+  userPrompt += `Client: ${clientName || 'unknown name'}\n`;
+  userPrompt += `Follow-up ${followUp.attempt} of ${followUp.total}\n\n`;
+  userPrompt += 'Write the follow-up SMS:';
+
+  try {
+    const text = await complete('draft', {
+      system,
+      messages: [{ role: 'user', content: userPrompt }]
+    });
+
+    const draft = text.trim().replace(/^["']|["']$/g, '').trim();
+    logger.info({ length: draft.length, attempt: followUp.attempt }, 'Generated follow-up nudge');
+    return draft;
+  } catch (error) {
+    logger.error({ error }, 'Failed to generate follow-up nudge');
+    return generateFallbackNudge(clientName, lang, isLast);
   }
 }
 
 /**
  * Rewrite a draft based on Ashley's correction notes.
  * Takes the original draft and her instructions, produces a polished revised message.
+ * lang is the conversation's language when known; otherwise it is detected.
  */
-export async function rewriteDraftFromCorrections(originalDraft, corrections, clientMessage) {
-  const lang = detectLanguage(clientMessage || originalDraft);
+export async function rewriteDraftFromCorrections(originalDraft, corrections, clientMessage, lang = null) {
+  lang = lang || detectLanguage(clientMessage || originalDraft);
 
   const system = `You are Max, assistant for MTL Craft Cocktails (mobile bartending, Montreal).
 Rewrite the draft SMS below based on the correction notes from the business owner.
@@ -285,14 +374,12 @@ ${corrections}
 Rewrite the draft incorporating these corrections. Keep it professional and ready to send as an SMS:`;
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 600,
+    const text = await complete('rewrite', {
       system,
       messages: [{ role: 'user', content: user }]
     });
 
-    const draft = response.content[0].text.trim().replace(/^["']|["']$/g, '').trim();
+    const draft = text.trim().replace(/^["']|["']$/g, '').trim();
     logger.info({ length: draft.length }, 'Rewritten draft from corrections');
     return draft;
   } catch (error) {
@@ -302,12 +389,112 @@ Rewrite the draft incorporating these corrections. Keep it professional and read
   }
 }
 
+/**
+ * Draft a proactive SMS about an event update from the MTL app (booking confirmed,
+ * deposit paid, ...). Language is the conversation's, else the client's last message. Returns null on failure.
+ */
+export async function generateProactiveMessage({ clientName, eventSummary, conversationHistory, conversationSummary, correctionRules, lang }) {
+  const lastInbound = [...(conversationHistory || [])].reverse().find(m => m.direction === 'inbound');
+  lang = lang || detectLanguage(lastInbound?.body);
+
+  const system = `You are Max, the AI assistant for MTL Craft Cocktails, a mobile bartending service in Montreal.
+Write a short SMS to a client about an update to their event. We are reaching out first; they did not just message us.
+Reply in ${lang === 'fr' ? 'French' : 'English'} only.
+Tone: professional, warm. Use "we" not "I" or "Ashley". No emojis. No filler. Two or three sentences at most.
+Do NOT quote pricing or dollar amounts unless they appear in the update.
+${correctionRules?.length > 0 ? `\nCORRECTION RULES (learned from past edits -- follow strictly):\n${correctionRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}\n` : ''}
+Output ONLY the message text. No labels, no quotes, no formatting markers.`;
+
+  let userPrompt = buildHistoryPrompt(conversationHistory, conversationSummary);
+
+  userPrompt += `Client: ${clientName || 'unknown name'}\n`;
+  userPrompt += `Event update: ${eventSummary}\n\n`;
+  userPrompt += 'Write the SMS:';
+
+  try {
+    const text = await complete('proactive', {
+      system,
+      messages: [{ role: 'user', content: userPrompt }]
+    });
+
+    const draft = text.trim().replace(/^["']|["']$/g, '').trim();
+    logger.info({ length: draft.length }, 'Generated proactive draft');
+    return draft;
+  } catch (error) {
+    logger.error({ error }, 'Failed to generate proactive draft');
+    return null;
+  }
+}
+
+/**
+ * Describe a client-sent image in one or two sentences for the drafting prompt.
+ * Returns null on failure.
+ */
+export async function describeImage(base64Data, mediaType) {
+  try {
+    const text = await complete('vision', {
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: mediaType, data: base64Data } },
+          { type: 'text', text: 'A client of a mobile bartending company sent this image by text message. Describe it in one or two short sentences, focusing on details relevant to planning an event bar (venue layout, cocktails, documents, guest counts, dates). Output only the description.' }
+        ]
+      }]
+    });
+
+    const description = text.trim();
+    logger.info({ length: description.length }, 'Described client image');
+    return description;
+  } catch (error) {
+    logger.error({ error }, 'Failed to describe image');
+    return null;
+  }
+}
+
+/**
+ * The rolling summary (older context) plus as many recent messages as fit the token budget
+ */
+function buildHistoryPrompt(conversationHistory, conversationSummary) {
+  let prompt = '';
+  if (conversationSummary) {
+    prompt += `Conversation summary (everything so far):\n${conversationSummary}\n\n`;
+  }
+
+  const turns = selectRecentTurns(conversationHistory);
+  if (turns.length > 0) {
+    prompt += 'Previous messages:\n';
+    for (const msg of turns) {
+      const direction = msg.direction === 'inbound' ? 'Client' : 'Max';
+      prompt += `${direction}: ${msg.body}\n`;
+    }
+    prompt += '\n';
+  }
+
+  return prompt;
+}
+
+/**
+ * Fixed nudge if Claude fails; both languages when the client's is unknown
+ */
+function generateFallbackNudge(clientName, lang, isLast) {
+  const en = isLast
+    ? `Hi${clientName ? ` ${clientName}` : ''}, just checking in one last time. Whenever you're ready to plan your event, reply here and we'll take it from there.`
+    : `Hi${clientName ? ` ${clientName}` : ''}, just following up on your event. Let us know if you have any questions, we're happy to help.`;
+  const fr = isLast
+    ? `Bonjour${clientName ? ` ${clientName}` : ''}, un dernier petit suivi. Quand vous serez prêt(e) à planifier votre événement, répondez ici et on s'occupe du reste.`
+    : `Bonjour${clientName ? ` ${clientName}` : ''}, petit suivi concernant votre événement. N'hésitez pas si vous avez des questions, on est là pour vous aider.`;
+
+  if (lang === 'fr') return fr;
+  if (lang === 'en') return en;
+  return `${fr}\n\n${en}`;
+}
+
 /**
  * Generate fallback reply if Claude fails
  */
-function generateFallbackReply(incomingMessage) {
+function generateFallbackReply(incomingMessage, lang = null) {
   const lower = incomingMessage.toLowerCase();
-  const isFrench = /[àâéèêëïîôùûüç]|bonjour|salut|merci|disponible|prix|réserv/i.test(incomingMessage);
+  const isFrench = (lang || detectLanguage(incomingMessage)) === 'fr';
 
   if (lower.includes('price') || lower.includes('cost') || lower.includes('rate') || lower.includes('prix') || lower.includes('tarif')) {
     return isFrench
@@ -0,0 +1,185 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { sanitizePhoneNumber } from '../utils/validation.js';
+import { findConversationByPhone, getOrCreateConversation, getConversation, storeDraftReply, addTelegramMessageId, rejectMessage } from './supabase.js';
+import { sendApprovalRequest, sendMessage } from './telegram.js';
+import { getAutoSendPolicy, queueAutoSend } from './autoSendPolicy.js';
+import { formatSendTime } from './scheduledSend.js';
+import { LANGUAGES } from './language.js';
+
+const logger = createLogger('client-reminders');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Delivery for client SMS reminders: a draft for Ashley to approve, or auto-send after the
+// auto-send hold window (cancellable like any scheduled send)
+export const REMINDER_DELIVERY = ['approval', 'auto'];
+
+// Client SMS templates in both languages. params come from the request; the client's name
+// and, for reminders tied to an MTL event, its eventDate are filled in when missing.
+// Params: amount and dueDate (balance_due), deadline (guest_count), arrivalTime and venue (arrival).
+export const REMINDER_TEMPLATES = {
+  balance_due: {
+    label: 'Balance due',
+    en: p => `Hi${name(p)}, a friendly reminder that the balance${p.amount ? ` of $${p.amount}` : ''} for your event${on(p, 'en')} is due ${p.dueDate ? `on ${p.dueDate}` : 'soon'}. Let us know if you need the payment link again.`,
+    fr: p => `Bonjour${name(p)}, petit rappel que le solde${p.amount ? ` de ${p.amount} $` : ''} pour votre événement${on(p, 'fr')} est dû ${p.dueDate ? `le ${p.dueDate}` : 'bientôt'}. Dites-nous si vous avez besoin du lien de paiement à nouveau.`
+  },
+  guest_count: {
+    label: 'Confirm final guest count',
+    en: p => `Hi${name(p)}, your event${on(p, 'en')} is coming up! Could you confirm your final guest count${p.deadline ? ` by ${p.deadline}` : ''}?`,
+    fr: p => `Bonjour${name(p)}, votre événement${on(p, 'fr')} approche! Pourriez-vous nous confirmer le nombre final d'invités${p.deadline ? ` d'ici le ${p.deadline}` : ''}?`
+  },
+  arrival: {
+    label: 'Arrival time for setup',
+    en: p => `Hi${name(p)}, just confirming we'll arrive${p.arrivalTime ? ` at ${p.arrivalTime}` : ''}${on(p, 'en')}${p.venue ? ` at ${p.venue}` : ''} to set up the bar. See you then!`,
+    fr: p => `Bonjour${name(p)}, on confirme notre arrivée${p.arrivalTime ? ` à ${p.arrivalTime}` : ''}${on(p, 'fr')}${p.venue ? ` au ${p.venue}` : ''} pour installer le bar. À bientôt!`
+  }
+};
+
+/**
+ * Validate the SMS fields of a POST /reminders body.
+ * Returns { fields } ready for createReminder, or { error }.
+ */
+export async function validateClientReminder(body) {
+  const { recipient, template, message, params, delivery = 'approval', language, event_id: eventId } = body;
+
+  if (template !== undefined && !REMINDER_TEMPLATES[template]) {
+    return { error: `template must be one of: ${Object.keys(REMINDER_TEMPLATES).join(', ')}` };
+  }
+  if (!template && (typeof message !== 'string' || !message.trim())) {
+    return { error: 'SMS reminders need a template or a message' };
+  }
+  if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+    return { error: 'params must be an object' };
+  }
+  if (!REMINDER_DELIVERY.includes(delivery)) {
+    return { error: `delivery must be one of: ${REMINDER_DELIVERY.join(', ')}` };
+  }
+  if (language !== undefined && !LANGUAGES[language]) {
+    return { error: 'language must be fr or en' };
+  }
+
+  // The recipient is a phone number, or the client of an MTL event we have heard about
+  let phone = recipient ? sanitizePhoneNumber(String(recipient)) : null;
+  let conversationId = null;
+  if (recipient && !phone) return { error: 'recipient must be a phone number' };
+  if (!phone && eventId) {
+    const event = await findLatestMtlEvent(eventId);
+    const conversation = event ? await getConversation(event.conversation_id) : null;
+    phone = conversation?.phone_number || null;
+    conversationId = conversation?.id || null;
+  }
+  if (!phone) return { error: 'recipient (phone number) is required unless event_id is a known MTL event' };
+
+  return {
+    fields: {
+      channel: 'sms',
+      recipient: phone,
+      conversation_id: conversationId,
+      mtl_booking_id: eventId || null,
+      template: template || null,
+      template_params: params || {},
+      delivery,
+      language: language || null,
+      message: template ? REMINDER_TEMPLATES[template].label : message.trim()
+    }
+  };
+}
+
+/**
+ * Render a reminder's SMS text. Without a language it is written in French, then English.
+ */
+export function renderReminderText(reminder, lang, params) {
+  const template = REMINDER_TEMPLATES[reminder.template];
+  if (!template) return reminder.message;
+
+  if (lang === 'fr' || lang === 'en') return template[lang](params);
+  return `${template.fr(params)}\n\n${template.en(params)}`;
+}
+
+/**
+ * Turn a due SMS reminder into a draft for the client: sent to Ashley for approval,
+ * or queued for auto-send. Returns { draftMessageId } or throws; a draft that could not be
+ * queued or put in front of Ashley is withdrawn first, so the retry doesn't leave duplicates.
+ */
+export async function processClientReminder(reminder) {
+  const conversation = reminder.conversation_id
+    ? await getConversation(reminder.conversation_id)
+    : await findConversationByPhone(reminder.recipient) || await getOrCreateConversation(reminder.recipient);
+  if (!conversation) throw new Error(`No conversation for ${reminder.recipient}`);
+
+  if (conversation.opted_out) {
+    await sendMessage(`📵 SMS reminder not sent, ${conversation.phone_number} opted out: ${reminder.message}`);
+    return { skipped: 'opted_out' };
+  }
+
+  const event = reminder.mtl_booking_id ? await findLatestMtlEvent(reminder.mtl_booking_id) : null;
+  const params = {
+    clientName: conversation.client_name,
+    eventDate: event?.payload?.eventDate,
+    ...reminder.template_params
+  };
+  const lang = reminder.language || conversation.preferred_language || null;
+  const body = renderReminderText(reminder, lang, params);
+
+  const metadata = { reminder: { id: reminder.id, template: reminder.template } };
+  const draftMessage = await storeDraftReply(conversation.id, body, metadata);
+
+  let autoSendAt = null;
+  if (reminder.delivery === 'auto') {
+    const { holdMinutes } = await getAutoSendPolicy();
+    autoSendAt = await queueAutoSend(draftMessage.id, body, holdMinutes, metadata).catch(async error => {
+      await rejectMessage(draftMessage.id);
+      throw error;
+    });
+  }
+
+  const telegramResult = await sendApprovalRequest({
+    messageId: draftMessage.id,
+    phoneNumber: conversation.phone_number,
+    clientName: conversation.client_name,
+    incomingBody: `🔔 Scheduled reminder: ${reminder.message} (no client message)`,
+    draftReply: body,
+    autoSend: autoSendAt ? { at: formatSendTime(autoSendAt) } : null
+  });
+
+  if (telegramResult) {
+    await addTelegramMessageId(draftMessage.id, telegramResult);
+  } else if (!autoSendAt) {
+    // Ashley would never hear about the draft -- withdraw it and let the reminder retry
+    await rejectMessage(draftMessage.id);
+    throw new Error('Telegram approval request failed');
+  }
+
+  logger.info({ reminderId: reminder.id, draftId: draftMessage.id, autoSend: Boolean(autoSendAt) }, 'Client reminder drafted');
+  return { draftMessageId: draftMessage.id };
+}
+
+// Latest MTL event for a booking, for its conversation and event details
+async function findLatestMtlEvent(eventId) {
+  const { data, error } = await supabase
+    .from('mtl_events')
+    .select('conversation_id, payload')
+    .eq('mtl_booking_id', eventId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, eventId }, 'Failed to look up MTL event for reminder');
+    return null;
+  }
+  return data;
+}
+
+function name(params) {
+  return params.clientName ? ` ${params.clientName}` : '';
+}
+
+function on(params, lang) {
+  if (!params.eventDate) return '';
+  return lang === 'fr' ? ` du ${params.eventDate}` : ` on ${params.eventDate}`;
+}
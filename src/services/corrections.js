@@ -1,7 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
-import Anthropic from '@anthropic-ai/sdk';
 import { createLogger } from '../utils/logger.js';
 import { storeMemoryWithEmbedding, searchMemoriesPgvector } from './pgvector.js';
+import { complete } from './llm.js';
 
 const logger = createLogger('corrections');
 
@@ -10,10 +10,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
-
 /**
  * Store a draft correction (edit or reject) and fire-and-forget rule extraction.
  */
@@ -75,13 +71,11 @@ ${incomingContext ? `<context>${incomingContext}</context>` : ''}
 
 Given the original draft and the corrected version, extract a concise rule that would prevent this mistake in the future. Return JSON only: {"rule": "<concise rule>", "category": "<one of: pricing, tone, service_details, workflow, language, other>"}`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 300,
+    const response = await complete('rule_extraction', {
       messages: [{ role: 'user', content: prompt }]
     });
 
-    const text = response.content[0].text.trim();
+    const text = response.trim();
 
     // Extract JSON from the response (handle markdown code blocks)
     const jsonMatch = text.match(/\{[\s\S]*\}/);
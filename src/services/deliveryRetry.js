@@ -0,0 +1,336 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { sendSMS } from './twilio.js';
+import { markMessageSent, setOptOut } from './supabase.js';
+import { sendMessage, sendDeliveryFailureAlert } from './telegram.js';
+import { resolveMediaUrls } from './mediaAssets.js';
+import { createApprovalLink } from './approvalLinks.js';
+import { refreshConversationSummary } from './conversationSummary.js';
+import { scheduleNextFollowUp } from './followUps.js';
+import { formatSendTime } from './scheduledSend.js';
+import { syncOutboundSms } from './mtlOutbox.js';
+
+const logger = createLogger('delivery-retry');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Original send + 3 retries
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAYS_MS = [60_000, 5 * 60_000, 15 * 60_000];
+
+// Carrier-safe length when a message is rejected as too long (4 GSM segments)
+const SPLIT_LENGTH = 612;
+
+// Twilio error codes that will never succeed on retry
+const PERMANENT_ERRORS = {
+  21211: 'invalid phone number',
+  21214: 'number cannot be reached',
+  21408: 'region not enabled',
+  21610: 'recipient opted out (STOP)',
+  21612: 'number not reachable by SMS',
+  21614: 'not a mobile number',
+  30004: 'message blocked',
+  30005: 'unknown destination handset',
+  30006: 'landline or unreachable carrier',
+  30007: 'carrier filtered as spam'
+};
+
+// Twilio error codes that mean the body must be split before retrying
+const TOO_LONG_ERRORS = {
+  21617: 'body exceeds 1600 characters',
+  30019: 'content exceeds carrier limit'
+};
+
+let intervalId = null;
+
+/**
+ * Start the delivery retry checker - runs every 60 seconds
+ * Returns the interval ID
+ */
+export function startDeliveryRetryChecker() {
+  if (intervalId) {
+    logger.warn('Delivery retry checker already running');
+    return intervalId;
+  }
+
+  logger.info('Starting delivery retry checker (60s interval)');
+
+  intervalId = setInterval(() => {
+    checkDueRetries().catch(err =>
+      logger.error({ err }, 'Delivery retry check failed')
+    );
+  }, 60_000);
+
+  return intervalId;
+}
+
+/**
+ * Classify a Twilio error code: 'permanent', 'too_long' or 'transient'.
+ * Errors without a code (network, timeouts) are treated as transient.
+ */
+export function classifyError(errorCode) {
+  const code = Number(errorCode);
+  if (PERMANENT_ERRORS[code]) return 'permanent';
+  if (TOO_LONG_ERRORS[code]) return 'too_long';
+  return 'transient';
+}
+
+/**
+ * Split a message into numbered parts that each fit within maxLength,
+ * breaking on sentence or word boundaries where possible.
+ */
+export function splitMessage(body, maxLength = SPLIT_LENGTH) {
+  if (!body || body.length <= maxLength) return [body];
+
+  // Reserve room for the " (n/N)" suffix
+  const limit = maxLength - 8;
+  const parts = [];
+  let remaining = body.trim();
+
+  while (remaining.length > limit) {
+    const window = remaining.slice(0, limit);
+    let cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    if (cut > limit / 2) {
+      cut += 1;
+    } else {
+      cut = window.lastIndexOf(' ');
+      if (cut < limit / 2) cut = limit;
+    }
+    parts.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+  if (remaining) parts.push(remaining);
+
+  return parts.map((part, i) => `${part} (${i + 1}/${parts.length})`);
+}
+
+/**
+ * Send an approved message and record the attempt on its sms_messages row.
+ * On failure, schedules a retry or gives up based on the Twilio error code.
+ * Returns the sendSMS result plus { nextRetryAt } or { gaveUp }.
+ */
+export async function deliverMessage(dbMessage, body) {
+  const attempts = dbMessage.delivery_attempts || [];
+  const conversation = dbMessage.sms_conversations || {};
+
+  if (conversation.opted_out) {
+    logger.warn({ messageId: dbMessage.id }, 'Recipient opted out, not sending');
+    return { success: false, error: 'Recipient has opted out', optedOut: true };
+  }
+
+  // Split if the previous attempt was rejected as too long, and keep splitting once split
+  const lastAttempt = attempts[attempts.length - 1];
+  const split = Boolean(lastAttempt?.part_sids)
+    || Boolean(lastAttempt && classifyError(lastAttempt.error_code) === 'too_long');
+  const parts = split ? splitMessage(body) : [body];
+
+  // Parts that already went out keep their SID and are not sent again (null = still to send)
+  const partSids = parts.map((_, i) => lastAttempt?.part_sids?.[i] || null);
+
+  // Outbound attachments are recorded on the row; re-sign them on every attempt
+  const mediaUrls = partSids[0] ? [] : await resolveMediaUrls(dbMessage.media_urls);
+
+  let result = null;
+  for (const [i, part] of parts.entries()) {
+    if (partSids[i]) continue;
+    result = await sendSMS(conversation.phone_number, part, i === 0 ? mediaUrls : []);
+    if (!result.success) break;
+    partSids[i] = result.sid;
+  }
+  result ||= { success: true, sid: partSids[partSids.length - 1] };
+
+  const attempt = {
+    attempt: attempts.length + 1,
+    sid: result.success ? result.sid : null,
+    part_sids: split ? partSids : undefined,
+    outcome: result.success ? 'sent' : 'failed',
+    error_code: result.success ? null : (result.code || null),
+    error: result.success ? null : result.error,
+    at: new Date().toISOString()
+  };
+  const updatedAttempts = [...attempts, attempt];
+
+  if (result.success) {
+    // One write, so the SID is stored before a fast status callback looks for it.
+    // twilio_sid is the last part sent; callbacks for the others match on part_sids.
+    await markMessageSent(dbMessage.id, result.sid, { delivery_attempts: updatedAttempts });
+    logger.info({ messageId: dbMessage.id, attempt: attempt.attempt, parts: parts.length }, 'Delivery attempt sent');
+    // The exchange is complete -- fold it into the rolling summary (fire-and-forget)
+    refreshConversationSummary(dbMessage.conversation_id);
+    // If the client goes quiet after this, the next follow-up nudge is due after the configured delay.
+    // Scheduled reminders ("balance due tomorrow") don't expect a reply, so they don't start one.
+    if (!dbMessage.metadata?.reminder) {
+      scheduleNextFollowUp(dbMessage.conversation_id).catch(err =>
+        logger.warn({ err, messageId: dbMessage.id }, 'Failed to schedule follow-up'));
+    }
+    return result;
+  }
+
+  const decision = await scheduleRetryOrGiveUp({ ...dbMessage, body }, updatedAttempts, attempt.error_code, attempt.error, 'failed');
+  return { ...result, ...decision };
+}
+
+/**
+ * Handle a failed/undelivered status callback for a message already sent.
+ * Marks the matching attempt and schedules a retry or gives up. For a split send, only
+ * the part that failed is sent again on retry.
+ */
+export async function handleDeliveryFailure(dbMessage, status, errorCode, sid = dbMessage.twilio_sid) {
+  const attempts = [...(dbMessage.delivery_attempts || [])];
+
+  const index = attempts.findLastIndex(a => a.sid === sid || a.part_sids?.includes(sid));
+  if (index >= 0) {
+    const attempt = attempts[index];
+    attempts[index] = {
+      ...attempt,
+      outcome: status,
+      error_code: errorCode || null,
+      ...(attempt.part_sids && { part_sids: attempt.part_sids.map(s => (s === sid ? null : s)) })
+    };
+  } else {
+    // Sent before attempts were tracked -- record it now
+    attempts.push({
+      attempt: attempts.length + 1,
+      sid: dbMessage.twilio_sid,
+      outcome: status,
+      error_code: errorCode || null,
+      error: null,
+      at: dbMessage.sent_at || new Date().toISOString()
+    });
+  }
+
+  return scheduleRetryOrGiveUp(dbMessage, attempts, errorCode, null, status);
+}
+
+/**
+ * Deliver any messages whose scheduled retry is due
+ */
+export async function checkDueRetries() {
+  const { data: due, error } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(*)')
+    .lte('next_retry_at', new Date().toISOString())
+    .order('next_retry_at', { ascending: true })
+    .limit(20);
+
+  if (error) {
+    logger.error({ error }, 'Failed to query due retries');
+    return;
+  }
+
+  for (const dbMessage of due || []) {
+    // Optimistic lock: only claim if the retry is still scheduled
+    const { data: claimed } = await supabase
+      .from('sms_messages')
+      .update({ next_retry_at: null })
+      .eq('id', dbMessage.id)
+      .eq('next_retry_at', dbMessage.next_retry_at)
+      .select('id')
+      .maybeSingle();
+
+    if (!claimed) {
+      logger.info({ messageId: dbMessage.id }, 'Retry already claimed, skipping');
+      continue;
+    }
+
+    try {
+      const result = await deliverMessage(dbMessage, dbMessage.body);
+      // The MTL app saw the earlier failure; give it this attempt's outcome and SID
+      await syncOutboundSms({
+        to: dbMessage.sms_conversations?.phone_number,
+        body: dbMessage.body,
+        status: result.success ? 'sent' : 'failed',
+        providerMessageId: result.sid,
+        error: result.success ? undefined : result.error,
+        sourceMessageId: dbMessage.id,
+      });
+    } catch (err) {
+      logger.error({ err, messageId: dbMessage.id }, 'Scheduled retry failed');
+    }
+  }
+}
+
+async function scheduleRetryOrGiveUp(dbMessage, attempts, errorCode, errorText, status) {
+  const kind = classifyError(errorCode);
+
+  // Twilio already blocks this number -- keep our flag in sync
+  if (Number(errorCode) === 21610 && dbMessage.conversation_id) {
+    await setOptOut(dbMessage.conversation_id, true, 'carrier')
+      .catch(err => logger.warn({ err }, 'Failed to flag opted-out conversation'));
+  }
+  const canRetry = kind !== 'permanent' && attempts.length < MAX_ATTEMPTS;
+
+  if (canRetry) {
+    const delay = RETRY_DELAYS_MS[Math.min(attempts.length - 1, RETRY_DELAYS_MS.length - 1)];
+    const nextRetryAt = new Date(Date.now() + delay).toISOString();
+
+    await saveAttempts(dbMessage.id, attempts, {
+      next_retry_at: nextRetryAt,
+      delivery_status: 'failed',
+      delivery_error_code: errorCode || null
+    });
+
+    logger.warn({ messageId: dbMessage.id, errorCode, kind, attempt: attempts.length, nextRetryAt }, 'Delivery failed, retry scheduled');
+
+    // Ashley hears about every failure right away, not only once retries run out
+    const conversation = dbMessage.sms_conversations || {};
+    await sendDeliveryFailureAlert({
+      messageId: dbMessage.id,
+      clientName: conversation.client_name,
+      phoneNumber: conversation.phone_number,
+      body: dbMessage.body,
+      status,
+      errorCode,
+      retryAt: formatSendTime(nextRetryAt)
+    });
+    return { nextRetryAt };
+  }
+
+  await saveAttempts(dbMessage.id, attempts, {
+    next_retry_at: null,
+    delivery_status: 'failed',
+    delivery_error_code: errorCode || null
+  });
+
+  await notifyGaveUp(dbMessage, attempts.length, errorCode, errorText);
+  logger.error({ messageId: dbMessage.id, errorCode, kind, attempts: attempts.length }, 'Gave up delivering SMS');
+  return { gaveUp: true };
+}
+
+async function saveAttempts(messageId, attempts, extra = {}) {
+  const { error } = await supabase
+    .from('sms_messages')
+    .update({ delivery_attempts: attempts, ...extra })
+    .eq('id', messageId);
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to record delivery attempt');
+  }
+}
+
+async function notifyGaveUp(dbMessage, attemptCount, errorCode, errorText) {
+  const conversation = dbMessage.sms_conversations || {};
+  const displayName = conversation.client_name || 'Unknown';
+  const code = Number(errorCode);
+  const reason = PERMANENT_ERRORS[code] || TOO_LONG_ERRORS[code] || errorText || 'delivery failed';
+
+  let text = `⚠️ <b>Gave up sending SMS to ${escapeHtml(displayName)}</b>\n`;
+  text += `(${escapeHtml(conversation.phone_number)})\n\n`;
+  text += `<b>Reason:</b> ${escapeHtml(reason)}${errorCode ? ` (Twilio ${escapeHtml(String(errorCode))})` : ''}\n`;
+  text += `<b>Attempts:</b> ${attemptCount}\n\n`;
+  text += `<i>"${escapeHtml(dbMessage.body)}"</i>\n\n`;
+  text += `<a href="${escapeHtml(createApprovalLink(dbMessage.id, '/retry'))}">Retry manually</a>`;
+
+  await sendMessage(text);
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
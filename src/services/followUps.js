@@ -0,0 +1,316 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { storeDraftReply, addTelegramMessageId, getConversationHistory } from './supabase.js';
+import { generateDraftReply } from './claude.js';
+import { sendApprovalRequest } from './telegram.js';
+import { HISTORY_FETCH_LIMIT } from './conversationSummary.js';
+
+const logger = createLogger('follow-ups');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Days of silence before each nudge, counted from our last message ("2,7": a nudge after
+// 2 days, another 7 days after that). Empty turns follow-ups off.
+const FOLLOW_UP_DELAYS_DAYS = (process.env.FOLLOW_UP_DELAYS_DAYS ?? '2,7')
+  .split(',')
+  .map(d => parseFloat(d))
+  .filter(d => d > 0);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Drafts still waiting on Ashley; a nudge is never drafted on top of one
+const OPEN_DRAFT_STATUSES = ['pending_approval', 'approved', 'scheduled'];
+
+let intervalId = null;
+
+/**
+ * Start the follow-up checker - runs every 15 minutes
+ * Returns the interval ID
+ */
+export function startFollowUpChecker() {
+  if (intervalId) {
+    logger.warn('Follow-up checker already running');
+    return intervalId;
+  }
+
+  if (FOLLOW_UP_DELAYS_DAYS.length === 0) {
+    logger.info('FOLLOW_UP_DELAYS_DAYS is empty, follow-ups disabled');
+    return null;
+  }
+
+  logger.info({ delays: FOLLOW_UP_DELAYS_DAYS }, 'Starting follow-up checker (15m interval)');
+
+  backfillFollowUps()
+    .then(checkDueFollowUps)
+    .catch(err => logger.error({ err }, 'Initial follow-up check failed'));
+
+  intervalId = setInterval(() => {
+    checkDueFollowUps().catch(err =>
+      logger.error({ err }, 'Follow-up check failed')
+    );
+  }, 15 * 60_000);
+
+  return intervalId;
+}
+
+/**
+ * Plan the next nudge after we send a message: due after the delay for the
+ * conversation's current step, or none once every step is used.
+ */
+export async function scheduleNextFollowUp(conversationId, sentAt = new Date()) {
+  const { data: conversation, error } = await supabase
+    .from('sms_conversations')
+    .select('id, follow_up_count, follow_up_stop_reason')
+    .eq('id', conversationId)
+    .single();
+
+  if (error || !conversation) {
+    logger.error({ error, conversationId }, 'Failed to load conversation for follow-up');
+    return null;
+  }
+  if (conversation.follow_up_stop_reason) return null;
+
+  const delay = FOLLOW_UP_DELAYS_DAYS[conversation.follow_up_count || 0];
+  const nextAt = delay ? new Date(sentAt.getTime() + delay * DAY_MS) : null;
+
+  const { error: updateError } = await supabase
+    .from('sms_conversations')
+    .update({ next_follow_up_at: nextAt?.toISOString() || null })
+    .eq('id', conversationId);
+
+  if (updateError) {
+    logger.error({ error: updateError, conversationId }, 'Failed to schedule follow-up');
+    return null;
+  }
+  return nextAt;
+}
+
+/**
+ * Plan nudges for conversations that went quiet without one being planned (e.g. replies sent
+ * before follow-ups existed): our sent reply is the last message, no nudge yet, and it is
+ * recent enough for the sequence to still be running. Due times count from that reply.
+ */
+export async function backfillFollowUps() {
+  const windowDays = FOLLOW_UP_DELAYS_DAYS.reduce((sum, days) => sum + days, 0);
+  const { data: sent, error } = await supabase
+    .from('sms_messages')
+    .select('id, conversation_id, sent_at, metadata')
+    .eq('direction', 'outbound')
+    .eq('status', 'sent')
+    .gte('sent_at', new Date(Date.now() - windowDays * DAY_MS).toISOString())
+    .order('sent_at', { ascending: false })
+    .limit(500);
+
+  if (error) {
+    logger.error({ error }, 'Failed to query recent replies for follow-up backfill');
+    return 0;
+  }
+
+  // Latest reply per conversation; reminders and auto-responses don't start a sequence
+  const latest = new Map();
+  for (const message of sent || []) {
+    if (!latest.has(message.conversation_id)) latest.set(message.conversation_id, message);
+  }
+  const replies = [...latest.values()].filter(m => !m.metadata?.reminder && !m.metadata?.auto_response);
+  if (replies.length === 0) return 0;
+
+  const { data: conversations, error: conversationError } = await supabase
+    .from('sms_conversations')
+    .select('id')
+    .in('id', replies.map(m => m.conversation_id))
+    .is('next_follow_up_at', null)
+    .or('follow_up_count.is.null,follow_up_count.eq.0')
+    .eq('opted_out', false)
+    .is('follow_up_stop_reason', null);
+
+  if (conversationError) {
+    logger.error({ error: conversationError }, 'Failed to query conversations for follow-up backfill');
+    return 0;
+  }
+
+  let planned = 0;
+  for (const { id } of conversations || []) {
+    const reply = latest.get(id);
+    const [last] = await getConversationHistory(id, 1);
+    if (last?.id !== reply.id) continue;
+
+    const nextAt = new Date(new Date(reply.sent_at).getTime() + FOLLOW_UP_DELAYS_DAYS[0] * DAY_MS);
+    const { data: updated } = await supabase
+      .from('sms_conversations')
+      .update({ next_follow_up_at: nextAt.toISOString() })
+      .eq('id', id)
+      .is('next_follow_up_at', null)
+      .select('id')
+      .maybeSingle();
+    if (updated) planned++;
+  }
+
+  if (planned > 0) logger.info({ planned }, 'Follow-ups planned for conversations already quiet');
+  return planned;
+}
+
+/**
+ * The client wrote back: cancel the planned nudge and any nudge draft still open,
+ * and start the sequence over after our next reply.
+ */
+export async function resetFollowUps(conversationId) {
+  const { error } = await supabase
+    .from('sms_conversations')
+    .update({ follow_up_count: 0, next_follow_up_at: null })
+    .eq('id', conversationId);
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to reset follow-ups');
+  }
+  await rejectOpenNudges(conversationId, 'client replied');
+}
+
+/**
+ * Stop follow-ups for good (e.g. reason 'booked' when the MTL app confirms a booking)
+ */
+export async function stopFollowUps(conversationId, reason) {
+  const { error } = await supabase
+    .from('sms_conversations')
+    .update({ follow_up_stop_reason: reason, next_follow_up_at: null })
+    .eq('id', conversationId);
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to stop follow-ups');
+    return;
+  }
+  logger.info({ conversationId, reason }, 'Follow-ups stopped');
+  await rejectOpenNudges(conversationId, reason);
+}
+
+/**
+ * Draft a nudge for every conversation whose follow-up is due
+ */
+export async function checkDueFollowUps() {
+  const { data: due, error } = await supabase
+    .from('sms_conversations')
+    .select('*')
+    .lte('next_follow_up_at', new Date().toISOString())
+    .eq('opted_out', false)
+    .is('follow_up_stop_reason', null)
+    .order('next_follow_up_at', { ascending: true })
+    .limit(20);
+
+  if (error) {
+    logger.error({ error }, 'Failed to query due follow-ups');
+    return;
+  }
+
+  for (const conversation of due || []) {
+    if (!await claimFollowUp(conversation)) {
+      logger.info({ conversationId: conversation.id }, 'Follow-up already claimed, skipping');
+      continue;
+    }
+
+    try {
+      await draftFollowUp(conversation);
+    } catch (err) {
+      logger.error({ err, conversationId: conversation.id }, 'Follow-up draft failed');
+    }
+  }
+}
+
+// Optimistic lock: only claim if the due time is unchanged
+async function claimFollowUp(conversation) {
+  const { data: claimed } = await supabase
+    .from('sms_conversations')
+    .update({ next_follow_up_at: null })
+    .eq('id', conversation.id)
+    .eq('next_follow_up_at', conversation.next_follow_up_at)
+    .select('id')
+    .maybeSingle();
+
+  return Boolean(claimed);
+}
+
+async function draftFollowUp(conversation) {
+  const history = await getConversationHistory(conversation.id, HISTORY_FETCH_LIMIT);
+  const last = history[history.length - 1];
+
+  // Only nudge while our message is the last word and nothing is waiting on Ashley
+  if (!last || last.direction !== 'outbound' || last.status !== 'sent') {
+    logger.info({ conversationId: conversation.id }, 'Client wrote since, no follow-up');
+    return null;
+  }
+  if (await hasOpenDraft(conversation.id)) {
+    logger.info({ conversationId: conversation.id }, 'Draft already waiting for approval, no follow-up');
+    return null;
+  }
+
+  const attempt = (conversation.follow_up_count || 0) + 1;
+  const daysSilent = Math.floor((Date.now() - new Date(last.sent_at || last.created_at).getTime()) / DAY_MS);
+  const language = conversation.preferred_language
+    ? { lang: conversation.preferred_language, source: 'conversation' }
+    : null;
+
+  const draftReply = await generateDraftReply({
+    clientName: conversation.client_name,
+    conversationHistory: history,
+    conversationSummary: conversation.summary,
+    leadProfile: conversation.lead_profile,
+    language,
+    followUp: { attempt, total: FOLLOW_UP_DELAYS_DAYS.length, daysSilent }
+  });
+
+  const draftMessage = await storeDraftReply(conversation.id, draftReply, {
+    follow_up: { attempt, days_silent: daysSilent }
+  });
+
+  await supabase
+    .from('sms_conversations')
+    .update({ follow_up_count: attempt, last_follow_up_at: new Date().toISOString() })
+    .eq('id', conversation.id);
+
+  const telegramResult = await sendApprovalRequest({
+    messageId: draftMessage.id,
+    phoneNumber: conversation.phone_number,
+    clientName: conversation.client_name,
+    incomingBody: `⏳ No reply for ${daysSilent} day${daysSilent === 1 ? '' : 's'} (follow-up ${attempt} of ${FOLLOW_UP_DELAYS_DAYS.length})`,
+    draftReply
+  });
+
+  if (telegramResult) {
+    await addTelegramMessageId(draftMessage.id, telegramResult);
+  }
+
+  logger.info({ conversationId: conversation.id, draftId: draftMessage.id, attempt }, 'Follow-up nudge sent for approval');
+  return draftMessage;
+}
+
+async function hasOpenDraft(conversationId) {
+  const { data } = await supabase
+    .from('sms_messages')
+    .select('id')
+    .eq('conversation_id', conversationId)
+    .eq('direction', 'outbound')
+    .in('status', OPEN_DRAFT_STATUSES)
+    .limit(1);
+
+  return (data || []).length > 0;
+}
+
+// Nudges drafted but not sent yet are no longer wanted
+async function rejectOpenNudges(conversationId, reason) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .update({ status: 'rejected' })
+    .eq('conversation_id', conversationId)
+    .in('status', ['pending_approval', 'scheduled'])
+    .not('metadata->follow_up', 'is', null)
+    .select('id');
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to withdraw follow-up drafts');
+    return;
+  }
+  if (data?.length > 0) {
+    logger.info({ conversationId, reason, drafts: data.map(m => m.id) }, 'Follow-up drafts withdrawn');
+  }
+}
@@ -0,0 +1,142 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('language');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const LANGUAGES = { fr: 'French', en: 'English' };
+
+// Common words that only one of the two languages uses. Words shared by both
+// ("a", "on", "ok", "super", "date", "cocktail") are left out on purpose.
+const FRENCH_WORDS = new Set([
+  'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'est', 'je', 'tu', 'il', 'elle', 'nous', 'vous',
+  'ils', 'pour', 'avec', 'dans', 'sur', 'pas', 'ne', 'que', 'qui', 'quoi', 'oui', 'non', 'merci', 'bonjour',
+  'salut', 'bonsoir', 'svp', 'stp', 'ca', 'mon', 'ma', 'mes', 'ton', 'ta', 'votre', 'vos', 'notre', 'nos',
+  'au', 'aux', 'aussi', 'mais', 'tres', 'bien', 'bon', 'bonne', 'etre', 'avoir', 'fait', 'faire', 'peut',
+  'peux', 'quel', 'quelle', 'combien', 'soiree', 'fete', 'mariage', 'personnes', 'invites', 'disponible',
+  'prix', 'parfait', 'daccord', 'voudrais', 'aimerais', 'cherche', 'demain', 'semaine', 'samedi',
+  'dimanche', 'vendredi', 'heure', 'heures', 'alors', 'donc', 'avez', 'sommes', 'sont', 'chez', 'bientot'
+]);
+
+const ENGLISH_WORDS = new Set([
+  'the', 'an', 'and', 'is', 'are', 'was', 'i', 'you', 'we', 'it', 'they', 'for', 'with', 'in', 'not', 'that',
+  'who', 'what', 'yes', 'no', 'thanks', 'thank', 'hi', 'hello', 'hey', 'please', 'my', 'your', 'our', 'to',
+  'of', 'be', 'have', 'has', 'do', 'does', 'can', 'how', 'when', 'will', 'would', 'this', 'there', 'good',
+  'great', 'sounds', 'perfect', 'see', 'then', 'just', 'much', 'many', 'people', 'guests', 'wedding',
+  'party', 'available', 'price', 'looking', 'need', 'want', 'like', 'tomorrow', 'week', 'saturday',
+  'sunday', 'friday', 'hour', 'hours', 'so', 'if', 'from', 'about', 'us', 'me', 'get', 'know', 'soon'
+]);
+
+// French elisions: c'est, j'ai, l'adresse, qu'il, n'est, d'accord
+const ELISION = /^(c|j|l|d|m|n|s|t|qu)['’]/;
+
+// Per-message confidence needed before a detected preference changes
+const SWITCH_CONFIDENCE = 0.8;
+
+// Words of evidence for full confidence; shorter messages ("ok", "merci!") count for less
+const FULL_EVIDENCE_WORDS = 5;
+
+/**
+ * Score a message as French or English.
+ * Returns { lang: 'fr'|'en'|null, confidence: 0..1, mixed, scores: { fr, en } }.
+ * lang is null when the text has nothing to go on (emojis, numbers, "ok").
+ * mixed is set when both languages are well represented ("Parfait, see you samedi").
+ */
+export function scoreLanguage(text) {
+  const scores = { fr: 0, en: 0 };
+  const words = String(text || '').toLowerCase().split(/[^\p{L}'’]+/u).filter(Boolean);
+
+  for (const raw of words) {
+    if (ELISION.test(raw)) {
+      scores.fr += 1;
+      continue;
+    }
+    const word = raw.replace(/['’]/g, '');
+    if (/[àâéèêëïîôùûüç]/.test(word) || FRENCH_WORDS.has(word)) scores.fr += 1;
+    else if (ENGLISH_WORDS.has(word)) scores.en += 1;
+  }
+
+  const total = scores.fr + scores.en;
+  if (total === 0) return { lang: null, confidence: 0, mixed: false, scores };
+
+  const lang = scores.fr === scores.en ? null : scores.fr > scores.en ? 'fr' : 'en';
+  const minority = Math.min(scores.fr, scores.en);
+  const ratio = Math.max(scores.fr, scores.en) / total;
+  const confidence = Math.round(ratio * Math.min(1, total / FULL_EVIDENCE_WORDS) * 100) / 100;
+
+  return { lang, confidence: lang ? confidence : 0, mixed: minority >= 2 && minority / total >= 0.25, scores };
+}
+
+/**
+ * 'fr' or 'en' for a single message, English when unsure
+ */
+export function detectLanguage(text) {
+  return scoreLanguage(text).lang || 'en';
+}
+
+/**
+ * Language to reply in, from the conversation's stored preference and the new message.
+ * A manual override always wins. Otherwise a confident, single-language message sets or
+ * changes the stored preference; short, neutral or mixed messages keep it.
+ * Saves the preference when it changes. Returns { lang, confidence, source, mixed }
+ * where source is 'manual', 'conversation', 'message' or 'default'.
+ */
+export async function resolveConversationLanguage(conversation, messageBody) {
+  const detected = scoreLanguage(messageBody);
+  const stored = conversation?.preferred_language;
+
+  if (stored && conversation.language_source === 'manual') {
+    return { lang: stored, confidence: 1, source: 'manual', mixed: detected.mixed };
+  }
+
+  const confident = detected.lang && !detected.mixed && detected.confidence >= SWITCH_CONFIDENCE;
+  if (stored && !confident) {
+    return { lang: stored, confidence: conversation.language_confidence ?? detected.confidence, source: 'conversation', mixed: detected.mixed };
+  }
+
+  if (!detected.lang) {
+    return { lang: 'en', confidence: 0, source: 'default', mixed: detected.mixed };
+  }
+
+  if (conversation?.id && (detected.lang !== stored || detected.confidence !== conversation.language_confidence)) {
+    await savePreferredLanguage(conversation.id, detected.lang, 'detected', detected.confidence);
+    if (stored && stored !== detected.lang) {
+      logger.info({ conversationId: conversation.id, from: stored, to: detected.lang }, 'Conversation language changed');
+    }
+  }
+
+  return { lang: detected.lang, confidence: detected.confidence, source: 'message', mixed: detected.mixed };
+}
+
+/**
+ * Override the conversation's reply language from the approval page.
+ * lang 'fr' or 'en' pins it; null goes back to automatic detection.
+ */
+export async function setPreferredLanguage(conversationId, lang) {
+  if (lang !== null && !LANGUAGES[lang]) {
+    throw new Error(`Unsupported language: ${lang}`);
+  }
+
+  const error = lang === null
+    ? await savePreferredLanguage(conversationId, null, 'detected', null)
+    : await savePreferredLanguage(conversationId, lang, 'manual', 1);
+  if (error) throw error;
+
+  logger.info({ conversationId, lang: lang || 'auto' }, 'Conversation language set');
+}
+
+async function savePreferredLanguage(conversationId, lang, source, confidence) {
+  const { error } = await supabase
+    .from('sms_conversations')
+    .update({ preferred_language: lang, language_source: source, language_confidence: confidence })
+    .eq('id', conversationId);
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to save conversation language');
+  }
+  return error;
+}
@@ -0,0 +1,117 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('llm');
+
+// Model routes per task: "provider:model" entries, tried in order until one succeeds.
+// Override with LLM_MODEL_<TASK>, e.g. LLM_MODEL_DRAFT="anthropic:claude-3-5-sonnet-latest,anthropic:claude-3-5-haiku-20241022"
+const TASKS = {
+  draft: { routes: ['anthropic:claude-3-5-haiku-20241022', 'anthropic:claude-3-haiku-20240307'], maxTokens: 600 },
+  proactive: { routes: ['anthropic:claude-3-5-haiku-20241022', 'anthropic:claude-3-haiku-20240307'], maxTokens: 300 },
+  rewrite: { routes: ['anthropic:claude-3-5-haiku-20241022', 'anthropic:claude-3-haiku-20240307'], maxTokens: 600 },
+  rule_extraction: { routes: ['anthropic:claude-3-5-haiku-20241022', 'anthropic:claude-3-haiku-20240307'], maxTokens: 300 },
+  classification: { routes: ['anthropic:claude-3-haiku-20240307'], maxTokens: 50 },
+  extraction: { routes: ['anthropic:claude-3-5-haiku-20241022', 'anthropic:claude-3-haiku-20240307'], maxTokens: 300 },
+  summary: { routes: ['anthropic:claude-3-5-haiku-20241022', 'anthropic:claude-3-haiku-20240307'], maxTokens: 400 },
+  vision: { routes: ['anthropic:claude-3-haiku-20240307'], maxTokens: 150 },
+  // Used by Vapi for reminder calls (see getVoiceModel)
+  voice: { routes: ['anthropic:claude-3-7-sonnet-20250219'] }
+};
+
+let anthropic = null;
+
+const PROVIDERS = {
+  anthropic: async (model, { system, messages, maxTokens }) => {
+    if (!anthropic) {
+      anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+    const response = await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      messages
+    });
+    return response.content[0].text;
+  },
+  stub: async (model, { task }) => stubCompletion(task)
+};
+
+/**
+ * The ordered routes for a task: [{ provider, model }].
+ * LLM_PROVIDER=stub sends every task to the offline stub provider.
+ */
+export function getTaskRoutes(task) {
+  const config = TASKS[task];
+  if (!config) throw new Error(`Unknown LLM task: ${task}`);
+
+  if (process.env.LLM_PROVIDER === 'stub') {
+    return [{ provider: 'stub', model: 'stub' }];
+  }
+
+  const override = process.env[`LLM_MODEL_${task.toUpperCase()}`];
+  const routes = override ? override.split(',').map(r => r.trim()).filter(Boolean) : config.routes;
+  return routes.map(parseRoute);
+}
+
+/**
+ * Model for Vapi reminder calls: { provider, model }. Vapi runs the model itself, so
+ * the stub provider does not apply here.
+ */
+export function getVoiceModel() {
+  const [route] = (process.env.LLM_MODEL_VOICE || TASKS.voice.routes[0]).split(',');
+  return parseRoute(route.trim());
+}
+
+/**
+ * Run a completion for a task, falling back to the next route when one errors.
+ * messages use the Anthropic format. Returns the response text; throws if every route fails.
+ */
+export async function complete(task, { system, messages, maxTokens }) {
+  const routes = getTaskRoutes(task);
+  let lastError = null;
+
+  for (const { provider, model } of routes) {
+    const call = PROVIDERS[provider];
+    if (!call) {
+      logger.error({ task, provider }, 'Unknown LLM provider, skipping route');
+      continue;
+    }
+
+    try {
+      const text = await call(model, { task, system, messages, maxTokens: maxTokens || TASKS[task].maxTokens });
+      if (lastError) {
+        logger.warn({ task, provider, model }, 'LLM fallback route succeeded');
+      }
+      return text;
+    } catch (error) {
+      lastError = error;
+      logger.warn({ task, provider, model, error: error.message }, 'LLM route failed');
+    }
+  }
+
+  throw lastError || new Error(`No usable LLM route for ${task}`);
+}
+
+// "provider:model", or a bare model name for Anthropic
+function parseRoute(route) {
+  const [provider, ...rest] = route.includes(':') ? route.split(':') : ['anthropic', route];
+  return { provider, model: rest.join(':') };
+}
+
+// Deterministic output per task so the pipeline runs offline (LLM_PROVIDER=stub)
+function stubCompletion(task) {
+  switch (task) {
+    case 'rule_extraction':
+      return '{"rule": "Stub rule: keep replies short.", "category": "other"}';
+    case 'classification':
+      return 'unknown';
+    case 'extraction':
+      return '{}';
+    case 'summary':
+      return '- Stub summary: client is planning an event with us.';
+    case 'vision':
+      return 'Image sent by the client (stub description).';
+    default:
+      return "Thanks for your message! We'll get back to you shortly with more details.";
+  }
+}
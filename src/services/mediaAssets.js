@@ -0,0 +1,129 @@
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { storeMedia, getExtension, getMediaUrl } from './mediaStorage.js';
+
+const logger = createLogger('media-assets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Twilio MMS limit is 5 MB per message
+export const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+
+export const ASSET_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+
+/**
+ * List active assets (menus, cocktail photos, flyers) for the approval page
+ */
+export async function listAssets() {
+  const { data, error } = await supabase
+    .from('media_assets')
+    .select('*')
+    .eq('active', true)
+    .order('category', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (error) {
+    logger.error({ error }, 'Failed to list media assets');
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Get active assets by ID, preserving the requested order
+ */
+export async function getAssetsByIds(ids) {
+  if (!ids || ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('media_assets')
+    .select('*')
+    .in('id', ids)
+    .eq('active', true);
+
+  if (error) {
+    logger.error({ error }, 'Failed to load media assets');
+    return [];
+  }
+
+  return ids.map(id => (data || []).find(a => a.id === id)).filter(Boolean);
+}
+
+/**
+ * Upload a new asset to storage and add it to the library
+ */
+export async function createAsset({ name, category, contentType, buffer }) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const storagePath = `assets/${crypto.randomUUID()}-${slug}.${getExtension(contentType)}`;
+
+  await storeMedia(storagePath, buffer, contentType);
+
+  const { data, error } = await supabase
+    .from('media_assets')
+    .insert({
+      name,
+      category: category || 'general',
+      content_type: contentType,
+      storage_path: storagePath,
+      size: buffer.length,
+      active: true
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error({ error }, 'Failed to create media asset');
+    throw error;
+  }
+
+  logger.info({ id: data.id, name }, 'Media asset created');
+  return data;
+}
+
+/**
+ * Remove an asset from the library (the stored file is kept for sent messages)
+ */
+export async function deactivateAsset(id) {
+  const { data, error } = await supabase
+    .from('media_assets')
+    .update({ active: false })
+    .eq('id', id)
+    .eq('active', true)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error({ error, id }, 'Failed to deactivate media asset');
+    return null;
+  }
+
+  logger.info({ id }, 'Media asset deactivated');
+  return data;
+}
+
+/**
+ * Convert assets into the media_urls entries recorded on an outbound message
+ */
+export function toMediaEntries(assets) {
+  return assets.map(asset => ({
+    assetId: asset.id,
+    name: asset.name,
+    contentType: asset.content_type,
+    storagePath: asset.storage_path,
+    size: asset.size
+  }));
+}
+
+/**
+ * Resolve media_urls entries to URLs Twilio can fetch
+ */
+export async function resolveMediaUrls(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+  const urls = await Promise.all(entries.map(entry => getMediaUrl(entry)));
+  return urls.filter(Boolean);
+}
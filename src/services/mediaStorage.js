@@ -0,0 +1,171 @@
+import { createClient } from '@supabase/supabase-js';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+import { describeImage } from './claude.js';
+
+const logger = createLogger('media-storage');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const APP_BASE_URL = process.env.APP_BASE_URL || 'https://twilio-sms-production-b6b8.up.railway.app';
+
+// 'supabase' (default) or 'local' for development
+const STORAGE_BACKEND = process.env.MEDIA_STORAGE_BACKEND || 'supabase';
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET || 'sms-media';
+const LOCAL_MEDIA_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || './media');
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+// Claude's image input limits
+const MAX_DESCRIBE_BYTES = 5 * 1024 * 1024;
+const DESCRIBABLE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf',
+  'video/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'text/vcard': 'vcf'
+};
+
+/**
+ * Whether media is served from the local filesystem (mounted at /media)
+ */
+export function isLocalStorage() {
+  return STORAGE_BACKEND === 'local';
+}
+
+/**
+ * Local directory used by the filesystem backend
+ */
+export function getLocalMediaDir() {
+  return LOCAL_MEDIA_DIR;
+}
+
+/**
+ * File extension for a MIME type ('bin' if unknown)
+ */
+export function getExtension(contentType) {
+  return EXTENSIONS[contentType] || 'bin';
+}
+
+/**
+ * Download Twilio media, store it in our own storage and describe images.
+ * Twilio media URLs require auth and expire, so we keep our own copy.
+ * Returns enriched entries: { url, contentType, storagePath, size, description }.
+ * Items that fail to download keep their original Twilio URL only.
+ */
+export async function ingestMedia(mediaUrls, conversationId, messageSid) {
+  if (!mediaUrls || mediaUrls.length === 0) return null;
+
+  const results = [];
+  for (let i = 0; i < mediaUrls.length; i++) {
+    const item = mediaUrls[i];
+    try {
+      const buffer = await downloadTwilioMedia(item.url);
+      const ext = getExtension(item.contentType);
+      const storagePath = `${conversationId}/${messageSid}-${i}.${ext}`;
+
+      await storeMedia(storagePath, buffer, item.contentType);
+
+      const description = await describeMedia(buffer, item.contentType);
+
+      results.push({
+        url: item.url,
+        contentType: item.contentType,
+        storagePath,
+        size: buffer.length,
+        description
+      });
+      logger.info({ storagePath, size: buffer.length }, 'Stored inbound media');
+    } catch (error) {
+      logger.error({ error: error.message, url: item.url }, 'Failed to ingest media');
+      results.push({ ...item, storagePath: null, description: null });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get a browser/Telegram-fetchable URL for a stored media item
+ */
+export async function getMediaUrl(item) {
+  if (!item?.storagePath) return null;
+
+  if (isLocalStorage()) {
+    return `${APP_BASE_URL}/media/${item.storagePath}`;
+  }
+
+  const { data, error } = await supabase.storage
+    .from(MEDIA_BUCKET)
+    .createSignedUrl(item.storagePath, SIGNED_URL_TTL_SECONDS);
+
+  if (error) {
+    logger.warn({ error, storagePath: item.storagePath }, 'Failed to sign media URL');
+    return null;
+  }
+
+  return data.signedUrl;
+}
+
+async function downloadTwilioMedia(url) {
+  const auth = Buffer.from(
+    `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
+  ).toString('base64');
+
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Basic ${auth}` },
+    signal: AbortSignal.timeout(30000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Twilio media download failed (${response.status})`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Write a file to the configured storage backend
+ */
+export async function storeMedia(storagePath, buffer, contentType) {
+  if (isLocalStorage()) {
+    const filePath = path.join(LOCAL_MEDIA_DIR, storagePath);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer);
+    return;
+  }
+
+  const { error } = await supabase.storage
+    .from(MEDIA_BUCKET)
+    .upload(storagePath, buffer, { contentType, upsert: true });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function describeMedia(buffer, contentType) {
+  if (contentType === 'application/pdf') {
+    return 'PDF document';
+  }
+
+  if (!DESCRIBABLE_TYPES.includes(contentType)) {
+    return null;
+  }
+
+  if (buffer.length > MAX_DESCRIBE_BYTES) {
+    logger.info({ size: buffer.length }, 'Image too large to describe');
+    return null;
+  }
+
+  return describeImage(buffer.toString('base64'), contentType);
+}
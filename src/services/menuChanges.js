@@ -0,0 +1,196 @@
+// Pending action type for a batch of menu operations from one client message,
+// e.g. "swap the margarita for a paloma and add a mocktail"
+export const MENU_BATCH_ACTION = 'menu_batch';
+
+// update_menu replaces one cocktail with another
+const OPERATION_TYPES = ['update_menu', 'add_menu', 'remove_menu'];
+
+/**
+ * Normalize an MTL dry-run result into a list of operations.
+ * Accepts `operations: [...]` or the single-action fields of older responses.
+ */
+export function buildMenuOperations(data) {
+  if (!data) return [];
+
+  const raw = Array.isArray(data.operations) && data.operations.length > 0
+    ? data.operations
+    : data.action ? [data] : [];
+
+  return raw
+    .filter(op => OPERATION_TYPES.includes(op.action))
+    .map((op, index) => {
+      const oldCocktail = op.oldCocktailDisplay || op.oldCocktail || op.removeCocktail || null;
+      const newCocktail = op.newCocktailDisplay || op.newCocktail || op.addCocktail || null;
+      return {
+        id: index,
+        action: op.action,
+        oldCocktail: op.action === 'add_menu' ? null : oldCocktail,
+        newCocktail: op.action === 'remove_menu' ? null : newCocktail,
+        summary: op.summary || describeOperation({ action: op.action, oldCocktail, newCocktail }),
+        accepted: true
+      };
+    });
+}
+
+/**
+ * One-line description of an operation, e.g. "Replace Margarita with Paloma"
+ */
+export function describeOperation(op) {
+  if (op.action === 'update_menu') return `Replace ${op.oldCocktail} with ${op.newCocktail}`;
+  if (op.action === 'add_menu') return `Add ${op.newCocktail}`;
+  if (op.action === 'remove_menu') return `Remove ${op.oldCocktail}`;
+  return op.action;
+}
+
+/**
+ * Summary of the accepted operations, e.g. "Replace Margarita with Paloma; Add Virgin Mojito"
+ */
+export function summarizeOperations(operations) {
+  const accepted = (operations || []).filter(op => op.accepted !== false);
+  if (accepted.length === 0) return 'No menu changes accepted';
+  return accepted.map(op => op.summary || describeOperation(op)).join('; ');
+}
+
+/**
+ * Mark operations accepted or declined. acceptedIds lists the IDs to keep.
+ * Operations already applied stay accepted.
+ */
+export function selectOperations(operations, acceptedIds) {
+  const keep = new Set(acceptedIds.map(Number));
+  return operations.map(op => ({ ...op, accepted: Boolean(op.applied) || keep.has(op.id) }));
+}
+
+/**
+ * Apply the accepted operations to a menu (list of cocktail names) and return the
+ * result. Matching is case-insensitive; a replacement keeps the item's position.
+ */
+export function applyOperationsToMenu(menu, operations) {
+  const after = [...(menu || [])];
+  const indexOf = name => after.findIndex(item => item.toLowerCase() === String(name).toLowerCase());
+
+  for (const op of operations.filter(o => o.accepted !== false)) {
+    if (op.action === 'update_menu') {
+      const i = indexOf(op.oldCocktail);
+      if (i >= 0) after[i] = op.newCocktail;
+      else after.push(op.newCocktail);
+    } else if (op.action === 'add_menu') {
+      if (indexOf(op.newCocktail) < 0) after.push(op.newCocktail);
+    } else if (op.action === 'remove_menu') {
+      const i = indexOf(op.oldCocktail);
+      if (i >= 0) after.splice(i, 1);
+    }
+  }
+
+  return after;
+}
+
+/**
+ * Payload for the MTL apply call for one operation. The menu-update endpoint takes a
+ * single action per call, so a batch is applied one operation at a time.
+ */
+export function buildApplyPayload(payload, op) {
+  return {
+    action: op.action,
+    phone: payload.phone,
+    eventId: payload.eventId,
+    oldCocktail: op.oldCocktail,
+    newCocktail: op.newCocktail,
+    addCocktail: op.newCocktail,
+    removeCocktail: op.oldCocktail
+  };
+}
+
+// Pending action type for a menu change that matched several events; it waits
+// until the client (or Ashley) says which event they meant
+export const MENU_AMBIGUOUS_ACTION = 'menu_ambiguous';
+
+const MONTHS = [
+  ['january', 'jan', 'janvier', 'janv'],
+  ['february', 'feb', 'fevrier', 'fev'],
+  ['march', 'mar', 'mars'],
+  ['april', 'apr', 'avril', 'avr'],
+  ['may', 'mai'],
+  ['june', 'jun', 'juin'],
+  ['july', 'jul', 'juillet', 'juil'],
+  ['august', 'aug', 'aout'],
+  ['september', 'sep', 'sept', 'septembre'],
+  ['october', 'oct', 'octobre'],
+  ['november', 'nov', 'novembre'],
+  ['december', 'dec', 'decembre']
+];
+
+const ORDINALS = [
+  /\b(first|1st|premier|premiere|1er)\b/,
+  /\b(second|2nd|deuxieme|2e)\b/,
+  /\b(third|3rd|troisieme|3e)\b/
+];
+
+/**
+ * Label for a candidate event, e.g. "Smith wedding (2026-06-14)"
+ */
+export function describeCandidate(candidate) {
+  const name = candidate.eventName || candidate.clientName || 'Event';
+  return `${name}${candidate.eventDate ? ` (${candidate.eventDate})` : ''}`;
+}
+
+/**
+ * Identifier passed back to the MTL dry-run to pick a candidate
+ */
+export function candidateIdentifier(candidate) {
+  return candidate.eventId || candidate.id || candidate.eventDate || candidate.clientName;
+}
+
+/**
+ * Find the candidate event a client reply refers to ("the June 14 one", "14 juin",
+ * "the second one", "Smith"). Returns its index, or -1 unless exactly one matches.
+ */
+export function matchCandidate(candidates, text) {
+  if (!Array.isArray(candidates) || candidates.length === 0 || !text) return -1;
+
+  const normalized = normalizeText(text);
+
+  const byDate = uniqueMatch(candidates, c => mentionsDate(normalized, c.eventDate));
+  if (byDate >= 0) return byDate;
+
+  const byName = uniqueMatch(candidates, c => mentionsName(normalized, c.eventName || c.clientName));
+  if (byName >= 0) return byName;
+
+  const bareNumber = normalized.trim().match(/^#?(\d)$/);
+  if (bareNumber && parseInt(bareNumber[1], 10) <= candidates.length) {
+    return parseInt(bareNumber[1], 10) - 1;
+  }
+
+  const ordinal = ORDINALS.findIndex(pattern => pattern.test(normalized));
+  return ordinal >= 0 && ordinal < candidates.length ? ordinal : -1;
+}
+
+function uniqueMatch(candidates, predicate) {
+  const matches = candidates.map((c, i) => (predicate(c) ? i : -1)).filter(i => i >= 0);
+  return matches.length === 1 ? matches[0] : -1;
+}
+
+function mentionsDate(text, eventDate) {
+  const match = typeof eventDate === 'string' && eventDate.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return false;
+
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  if (text.includes(match[0]) || new RegExp(`\\b0?${month}/0?${day}\\b`).test(text)) return true;
+
+  const names = MONTHS[month - 1].join('|');
+  return new RegExp(`\\b(${names})\\.?\\s+0?${day}(st|nd|rd|th)?\\b`).test(text)
+    || new RegExp(`\\b0?${day}(er)?\\s+(${names})\\b`).test(text);
+}
+
+function mentionsName(text, name) {
+  if (!name) return false;
+  return normalizeText(name)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3)
+    .some(word => new RegExp(`\\b${word}\\b`).test(text));
+}
+
+// Lowercase without accents, so "Fevrier" matches "février"
+function normalizeText(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
@@ -8,6 +8,14 @@ function getConfig() {
   return { baseUrl, apiSecret };
 }
 
+/**
+ * Whether the MTL app connection is configured
+ */
+export function isMtlConfigured() {
+  const { baseUrl, apiSecret } = getConfig();
+  return Boolean(baseUrl && apiSecret);
+}
+
 async function callMtlEndpoint(pathname, payload) {
   const { baseUrl, apiSecret } = getConfig();
 
@@ -0,0 +1,479 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { sendInboundSms, isMtlConfigured } from './mtlApi.js';
+
+const logger = createLogger('mtl-outbox');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// After this many failed attempts a row is moved to the dead-letter view
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30_000;
+const MAX_BACKOFF_MS = 60 * 60_000;
+
+// How long a dispatcher holds a row before another instance may take it
+const DISPATCH_LOCK_MS = 60_000;
+
+const BATCH_SIZE = 200;
+
+// Rows sent per phone number in one pass, so a busy number can't crowd out the others
+const PER_PHONE_LIMIT = 20;
+
+// Pages of BATCH_SIZE scanned per pass; each skips the numbers already scanned
+const MAX_PAGES = 10;
+
+// Stored SMS in this window are checked for a missing outbox row; rows newer than the
+// grace period may still be mid-enqueue
+const RECONCILE_WINDOW_MS = 24 * 60 * 60_000;
+const RECONCILE_GRACE_MS = 2 * 60_000;
+const RECONCILE_INTERVAL_MS = 60 * 60_000;
+
+let intervalId = null;
+let reconcileIntervalId = null;
+let dispatching = false;
+let rerunRequested = false;
+
+/**
+ * Start the MTL outbox dispatcher - runs every 30 seconds, with a reconcile on
+ * startup and every hour
+ * Returns the interval ID
+ */
+export function startMtlOutboxDispatcher() {
+  if (intervalId || reconcileIntervalId) {
+    logger.warn('MTL outbox dispatcher already running');
+    return intervalId;
+  }
+
+  logger.info('Starting MTL outbox dispatcher (30s interval)');
+
+  reconcileOutbox().catch(err =>
+    logger.error({ err }, 'Initial MTL outbox reconcile failed')
+  );
+  reconcileIntervalId = setInterval(() => {
+    reconcileOutbox().catch(err =>
+      logger.error({ err }, 'MTL outbox reconcile failed')
+    );
+  }, RECONCILE_INTERVAL_MS);
+
+  intervalId = setInterval(() => {
+    dispatchOutbox().catch(err =>
+      logger.error({ err }, 'MTL outbox dispatch failed')
+    );
+  }, 30_000);
+
+  return intervalId;
+}
+
+/**
+ * Queue an SMS event for the MTL app. Never throws: a failed enqueue is logged
+ * and picked up by the next reconcile (see reconcileOutbox).
+ */
+export async function enqueueMtlSync(payload, { kind, sourceMessageId = null } = {}) {
+  if (!isMtlConfigured()) return null;
+
+  const phoneNumber = payload.direction === 'inbound' ? payload.from : payload.to;
+
+  const { data, error } = await supabase
+    .from('mtl_sync_outbox')
+    .insert({
+      kind,
+      phone_number: phoneNumber,
+      source_message_id: sourceMessageId,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    logger.error({ error, kind, sourceMessageId }, 'Failed to enqueue MTL sync');
+    return null;
+  }
+
+  // Deliver promptly; the dispatcher picks it up if this pass is busy or fails
+  dispatchOutbox().catch(err => logger.warn({ err }, 'Immediate MTL dispatch failed'));
+
+  return data.id;
+}
+
+/**
+ * Queue an inbound SMS (as received from Twilio)
+ */
+export async function syncInboundSms(message, sourceMessageId) {
+  return enqueueMtlSync({
+    from: message.from,
+    to: message.to,
+    body: message.body,
+    provider: 'twilio',
+    providerMessageId: message.messageSid,
+    direction: 'inbound',
+    status: 'received',
+    receivedAt: new Date().toISOString(),
+    data: {
+      numMedia: message.numMedia,
+      mediaUrls: message.mediaUrls,
+    },
+  }, { kind: 'inbound', sourceMessageId });
+}
+
+/**
+ * Queue an outbound SMS (sent or failed)
+ */
+export async function syncOutboundSms({ to, body, status, providerMessageId, error, sourceMessageId }) {
+  return enqueueMtlSync({
+    from: process.env.TWILIO_PHONE_NUMBER || '',
+    to,
+    body,
+    provider: 'twilio',
+    providerMessageId,
+    direction: 'outbound',
+    status,
+    receivedAt: new Date().toISOString(),
+    data: {
+      source: 'twilio-sms-skill',
+      sourceMessageId,
+      error,
+    },
+  }, { kind: 'outbound', sourceMessageId });
+}
+
+/**
+ * Queue a final delivery status for an outbound SMS
+ */
+export async function syncDeliveryStatus(dbMessage, status, errorCode, to) {
+  return enqueueMtlSync({
+    from: process.env.TWILIO_PHONE_NUMBER || '',
+    to: dbMessage.sms_conversations?.phone_number || to,
+    body: dbMessage.body,
+    provider: 'twilio',
+    providerMessageId: dbMessage.twilio_sid,
+    direction: 'outbound',
+    status,
+    receivedAt: new Date().toISOString(),
+    data: {
+      source: 'twilio-sms-skill',
+      sourceMessageId: dbMessage.id,
+      errorCode,
+    },
+  }, { kind: 'delivery_status', sourceMessageId: dbMessage.id });
+}
+
+/**
+ * Send due outbox rows, oldest first. Rows for the same phone number go out in
+ * order: a row that is backing off holds back everything queued after it. Each
+ * number gets at most PER_PHONE_LIMIT rows per pass, and later pages skip the
+ * numbers already scanned, so one number's backlog never hides the others.
+ */
+export async function dispatchOutbox() {
+  if (!isMtlConfigured()) return;
+
+  // One pass at a time per instance; rows queued meanwhile get another pass
+  if (dispatching) {
+    rerunRequested = true;
+    return;
+  }
+  dispatching = true;
+  rerunRequested = false;
+
+  try {
+    const now = Date.now();
+    const scannedPhones = new Set();
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      let query = supabase
+        .from('mtl_sync_outbox')
+        .select('*')
+        .eq('status', 'pending');
+      if (scannedPhones.size > 0) {
+        query = query.not('phone_number', 'in', `(${[...scannedPhones].map(phone => `"${phone}"`).join(',')})`);
+      }
+      const { data: rows, error } = await query
+        .order('created_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (error) {
+        logger.error({ error }, 'Failed to query MTL outbox');
+        return;
+      }
+
+      const blockedPhones = new Set();
+      const sentPerPhone = new Map();
+
+      for (const row of rows || []) {
+        const phone = row.phone_number;
+        const sent = sentPerPhone.get(phone) || 0;
+        if (blockedPhones.has(phone) || sent >= PER_PHONE_LIMIT) continue;
+
+        if (Date.parse(row.next_attempt_at) > now || !await claimRow(row)) {
+          blockedPhones.add(phone);
+          continue;
+        }
+
+        const delivered = await sendRow(row);
+        if (!delivered) blockedPhones.add(phone);
+        sentPerPhone.set(phone, sent + 1);
+      }
+
+      if (!rows || rows.length < BATCH_SIZE) break;
+      for (const row of rows) {
+        if (row.phone_number) scannedPhones.add(row.phone_number);
+      }
+    }
+  } finally {
+    dispatching = false;
+  }
+
+  if (rerunRequested) {
+    await dispatchOutbox();
+  }
+}
+
+/**
+ * Summary of the outbox: pending/dead counts and the oldest pending row
+ */
+export async function getOutboxStats() {
+  const [pending, dead, oldest] = await Promise.all([
+    supabase.from('mtl_sync_outbox').select('id', { count: 'exact', head: true }).eq('status', 'pending'),
+    supabase.from('mtl_sync_outbox').select('id', { count: 'exact', head: true }).eq('status', 'dead'),
+    supabase.from('mtl_sync_outbox').select('created_at').eq('status', 'pending')
+      .order('created_at', { ascending: true }).limit(1).maybeSingle()
+  ]);
+
+  return {
+    pending: pending.count || 0,
+    dead: dead.count || 0,
+    oldestPendingAt: oldest.data?.created_at || null
+  };
+}
+
+/**
+ * List outbox rows by status ('pending' backlog or 'dead' letters), oldest first
+ */
+export async function listOutbox(status, limit = 100) {
+  const { data, error } = await supabase
+    .from('mtl_sync_outbox')
+    .select('id, kind, phone_number, source_message_id, status, attempts, next_attempt_at, last_error, created_at, payload')
+    .eq('status', status)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logger.error({ error, status }, 'Failed to list MTL outbox');
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Requeue dead rows (plus sent rows if includeSent) for another round of attempts:
+ * the given IDs, or every such row created in [from, to]. Returns the number requeued.
+ */
+export async function replayOutbox({ ids, from, to, includeSent = false }) {
+  let query = supabase
+    .from('mtl_sync_outbox')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      locked_until: null,
+      last_error: null
+    })
+    .in('status', includeSent ? ['dead', 'sent'] : ['dead']);
+
+  query = ids
+    ? query.in('id', ids)
+    : query.gte('created_at', from).lte('created_at', to);
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    logger.error({ error }, 'Failed to replay MTL outbox');
+    throw error;
+  }
+
+  logger.info({ count: data.length }, 'MTL outbox rows requeued');
+  dispatchOutbox().catch(err => logger.warn({ err }, 'Dispatch after replay failed'));
+  return data.length;
+}
+
+/**
+ * Queue every SMS stored between from and to (inclusive), e.g. to repair drift
+ * from before the outbox existed. Drafts that were never sent are skipped.
+ * Returns the number of rows queued.
+ */
+export async function backfillRange(from, to) {
+  const { data: messages, error } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(phone_number)')
+    .gte('created_at', from)
+    .lte('created_at', to)
+    .in('status', ['received', 'sent'])
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error({ error }, 'Failed to load messages for MTL backfill');
+    throw error;
+  }
+
+  const rows = (messages || []).map(m => toOutboxRow(m, { backfill: true }));
+
+  if (rows.length > 0) {
+    const { error: insertError } = await supabase.from('mtl_sync_outbox').insert(rows);
+    if (insertError) {
+      logger.error({ error: insertError }, 'Failed to enqueue MTL backfill');
+      throw insertError;
+    }
+  }
+
+  logger.info({ count: rows.length, from, to }, 'MTL backfill queued');
+  dispatchOutbox().catch(err => logger.warn({ err }, 'Dispatch after backfill failed'));
+  return rows.length;
+}
+
+/**
+ * Queue SMS stored in the last day that never reached the outbox. The message row and its
+ * outbox row are separate writes, so a crash or failed insert in between would otherwise lose
+ * the sync. Auto-responses are not synced and are skipped. Returns the number of rows queued.
+ */
+export async function reconcileOutbox() {
+  if (!isMtlConfigured()) return 0;
+
+  const from = new Date(Date.now() - RECONCILE_WINDOW_MS).toISOString();
+  const to = new Date(Date.now() - RECONCILE_GRACE_MS).toISOString();
+  const { data: messages, error } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(phone_number)')
+    .or(`and(direction.eq.inbound,status.eq.received,created_at.gte.${from},created_at.lte.${to}),`
+      + `and(direction.eq.outbound,status.eq.sent,sent_at.gte.${from},sent_at.lte.${to})`)
+    .order('created_at', { ascending: true })
+    .limit(1000);
+
+  if (error) {
+    logger.error({ error }, 'Failed to load messages for MTL reconcile');
+    return 0;
+  }
+
+  const candidates = (messages || []).filter(m => !m.metadata?.auto_response);
+  const queued = new Set();
+  for (let i = 0; i < candidates.length; i += 100) {
+    const { data: rows, error: outboxError } = await supabase
+      .from('mtl_sync_outbox')
+      .select('source_message_id')
+      .in('source_message_id', candidates.slice(i, i + 100).map(m => m.id))
+      .in('kind', ['inbound', 'outbound']);
+
+    if (outboxError) {
+      logger.error({ error: outboxError }, 'Failed to check MTL outbox for reconcile');
+      return 0;
+    }
+    for (const row of rows || []) queued.add(row.source_message_id);
+  }
+
+  const missing = candidates.filter(m => !queued.has(m.id));
+  if (missing.length === 0) return 0;
+
+  const { error: insertError } = await supabase
+    .from('mtl_sync_outbox')
+    .insert(missing.map(m => toOutboxRow(m, { reconciled: true })));
+
+  if (insertError) {
+    logger.error({ error: insertError }, 'Failed to enqueue MTL reconcile');
+    return 0;
+  }
+
+  logger.warn({ count: missing.length, ids: missing.map(m => m.id) }, 'Queued SMS missing from the MTL outbox');
+  dispatchOutbox().catch(err => logger.warn({ err }, 'Dispatch after reconcile failed'));
+  return missing.length;
+}
+
+// Outbox row for a stored SMS (backfill and reconcile). created_at is when the SMS was
+// received or sent, so the row takes its place in the number's dispatch order.
+function toOutboxRow(message, data) {
+  const phone = message.sms_conversations?.phone_number;
+  const inbound = message.direction === 'inbound';
+  const ourNumber = process.env.TWILIO_PHONE_NUMBER || '';
+  return {
+    created_at: inbound ? message.created_at : (message.sent_at || message.created_at),
+    kind: inbound ? 'inbound' : 'outbound',
+    phone_number: phone,
+    source_message_id: message.id,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    payload: {
+      from: inbound ? phone : ourNumber,
+      to: inbound ? ourNumber : phone,
+      body: message.body,
+      provider: 'twilio',
+      providerMessageId: message.twilio_sid,
+      direction: message.direction,
+      status: inbound ? 'received' : (message.delivery_status || 'sent'),
+      receivedAt: message.created_at,
+      data: { source: 'twilio-sms-skill', sourceMessageId: message.id, ...data },
+    }
+  };
+}
+
+// Optimistic lock so two instances never send the same row
+async function claimRow(row) {
+  const now = new Date();
+  const { data: claimed } = await supabase
+    .from('mtl_sync_outbox')
+    .update({ locked_until: new Date(now.getTime() + DISPATCH_LOCK_MS).toISOString() })
+    .eq('id', row.id)
+    .eq('status', 'pending')
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('id')
+    .maybeSingle();
+
+  return Boolean(claimed);
+}
+
+async function sendRow(row) {
+  let result;
+  try {
+    result = await sendInboundSms(row.payload);
+  } catch (error) {
+    result = { ok: false, error: error.message };
+  }
+
+  const attempts = row.attempts + 1;
+
+  if (result.ok) {
+    await updateRow(row.id, { status: 'sent', attempts, sent_at: new Date().toISOString(), locked_until: null, last_error: null });
+    return true;
+  }
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await updateRow(row.id, { status: 'dead', attempts, locked_until: null, last_error: result.error });
+    logger.error({ id: row.id, kind: row.kind, attempts, error: result.error }, 'MTL sync moved to dead letters');
+    // A dead row no longer holds back later rows for the same number
+    return true;
+  }
+
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  await updateRow(row.id, {
+    attempts,
+    next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    locked_until: null,
+    last_error: result.error
+  });
+  logger.warn({ id: row.id, kind: row.kind, attempts, error: result.error }, 'MTL sync failed, will retry');
+  return false;
+}
+
+async function updateRow(id, fields) {
+  const { error } = await supabase
+    .from('mtl_sync_outbox')
+    .update(fields)
+    .eq('id', id);
+
+  if (error) {
+    logger.error({ error, id }, 'Failed to update MTL outbox row');
+  }
+}
@@ -0,0 +1,227 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { sanitizePhoneNumber } from '../utils/validation.js';
+import { findConversationByPhone, getOrCreateConversation, getConversationHistory, storeDraftReply, addTelegramMessageId } from './supabase.js';
+import { generateProactiveMessage } from './claude.js';
+import { getRelevantCorrections } from './corrections.js';
+import { HISTORY_FETCH_LIMIT } from './conversationSummary.js';
+import { stopFollowUps } from './followUps.js';
+import { sendApprovalRequest, sendMessage } from './telegram.js';
+
+const logger = createLogger('mtl-webhook');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Reject signed requests older than this (replay protection)
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+export const EVENT_TYPES = {
+  'booking.confirmed': 'Booking confirmed',
+  'deposit.paid': 'Deposit paid',
+  'menu.finalized': 'Menu finalized',
+  'event.date_changed': 'Event date changed'
+};
+
+/**
+ * Whether the MTL webhook secret is configured
+ */
+export function isMtlWebhookConfigured() {
+  return Boolean(process.env.MTL_WEBHOOK_SECRET);
+}
+
+/**
+ * Verify x-mtl-signature: hex HMAC-SHA256 of "<timestamp>.<raw body>" using
+ * MTL_WEBHOOK_SECRET, where timestamp (x-mtl-timestamp) is unix milliseconds.
+ */
+export function verifyMtlSignature(rawBody, timestamp, signature) {
+  if (!rawBody || !timestamp || !signature) return false;
+
+  const sentAt = parseInt(timestamp, 10);
+  if (!sentAt || Math.abs(Date.now() - sentAt) > SIGNATURE_TOLERANCE_MS) return false;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.MTL_WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  const expectedBuf = Buffer.from(expected);
+  const providedBuf = Buffer.from(String(signature).replace(/^sha256=/, ''));
+  return expectedBuf.length === providedBuf.length && crypto.timingSafeEqual(expectedBuf, providedBuf);
+}
+
+/**
+ * Validate a webhook payload. Returns null if valid, otherwise an error message.
+ */
+export function validateMtlEvent(event) {
+  if (!event || typeof event !== 'object') return 'Body must be a JSON object';
+  if (typeof event.id !== 'string' || !event.id) return 'id is required';
+  if (!EVENT_TYPES[event.type]) return `type must be one of: ${Object.keys(EVENT_TYPES).join(', ')}`;
+  if (typeof event.phone !== 'string' || !sanitizePhoneNumber(event.phone)) return 'phone is required';
+  if (event.type === 'event.date_changed' && !event.eventDate) return 'eventDate is required for event.date_changed';
+  return null;
+}
+
+/**
+ * Store an event notification against the client's conversation.
+ * Returns { event, conversation, duplicate }. Redelivered events (same id) are ignored.
+ */
+export async function recordMtlEvent(event) {
+  const { data: existing } = await supabase
+    .from('mtl_events')
+    .select('*')
+    .eq('mtl_event_id', event.id)
+    .maybeSingle();
+
+  if (existing) {
+    logger.info({ mtlEventId: event.id }, 'Duplicate MTL event ignored');
+    return { event: existing, conversation: null, duplicate: true };
+  }
+
+  const phoneNumber = sanitizePhoneNumber(event.phone);
+  const conversation = await findConversationByPhone(phoneNumber)
+    || await getOrCreateConversation(phoneNumber, event.clientName || null);
+
+  const { data, error } = await supabase
+    .from('mtl_events')
+    .insert({
+      mtl_event_id: event.id,
+      type: event.type,
+      conversation_id: conversation.id,
+      mtl_booking_id: event.eventId || null,
+      summary: describeMtlEvent(event),
+      payload: event
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Unique violation: the same event arrived twice at once
+    if (error.code === '23505') {
+      return { event: null, conversation, duplicate: true };
+    }
+    logger.error({ error, mtlEventId: event.id }, 'Failed to store MTL event');
+    throw error;
+  }
+
+  logger.info({ mtlEventId: event.id, type: event.type, conversationId: conversation.id }, 'MTL event stored');
+
+  // Booked clients don't get "still interested?" nudges
+  if (event.type === 'booking.confirmed') {
+    await stopFollowUps(conversation.id, 'booked');
+  }
+  return { event: data, conversation, duplicate: false };
+}
+
+/**
+ * Draft a proactive SMS about a stored event and send it for approval.
+ * Falls back to a plain Telegram notice when drafting is off or not possible.
+ */
+export async function draftEventMessage(storedEvent, conversation, { draftSms = true } = {}) {
+  const displayName = conversation.client_name || 'Unknown';
+
+  if (!draftSms || conversation.opted_out) {
+    const reason = conversation.opted_out ? '\n<i>Client opted out, no SMS drafted.</i>' : '';
+    await sendMessage(`📅 <b>${escapeHtml(displayName)}</b> (${escapeHtml(conversation.phone_number)})\n${escapeHtml(storedEvent.summary)}${reason}`);
+    return null;
+  }
+
+  const history = await getConversationHistory(conversation.id, HISTORY_FETCH_LIMIT);
+  const correctionRules = await getRelevantCorrections(storedEvent.summary).catch(err => {
+    logger.warn({ err }, 'Failed to get correction rules');
+    return [];
+  });
+
+  const draftReply = await generateProactiveMessage({
+    clientName: conversation.client_name,
+    eventSummary: storedEvent.summary,
+    conversationHistory: history,
+    conversationSummary: conversation.summary,
+    correctionRules,
+    lang: conversation.preferred_language
+  });
+
+  if (!draftReply) {
+    await sendMessage(`📅 <b>${escapeHtml(displayName)}</b> (${escapeHtml(conversation.phone_number)})\n${escapeHtml(storedEvent.summary)}\n<i>Could not draft an SMS.</i>`);
+    return null;
+  }
+
+  const draftMessage = await storeDraftReply(conversation.id, draftReply, {
+    proactive: true,
+    mtl_event_id: storedEvent.mtl_event_id,
+    mtl_event_type: storedEvent.type
+  });
+
+  await supabase
+    .from('mtl_events')
+    .update({ draft_message_id: draftMessage.id })
+    .eq('id', storedEvent.id);
+
+  const telegramResult = await sendApprovalRequest({
+    messageId: draftMessage.id,
+    phoneNumber: conversation.phone_number,
+    clientName: conversation.client_name,
+    incomingBody: `📅 ${storedEvent.summary} (no client message; proactive update)`,
+    draftReply
+  });
+
+  if (telegramResult) {
+    await addTelegramMessageId(draftMessage.id, telegramResult);
+  }
+
+  logger.info({ draftId: draftMessage.id, type: storedEvent.type }, 'Proactive draft sent for approval');
+  return draftMessage;
+}
+
+/**
+ * Recent MTL events for a conversation, newest first
+ */
+export async function listConversationEvents(conversationId, limit = 10) {
+  const { data, error } = await supabase
+    .from('mtl_events')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to list MTL events');
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * One-line description of an event, used in Telegram, the approval page and the drafting prompt
+ */
+export function describeMtlEvent(event) {
+  const name = event.eventName || 'the event';
+  const date = event.eventDate ? ` on ${event.eventDate}` : '';
+
+  switch (event.type) {
+    case 'booking.confirmed':
+      return `Booking confirmed for ${name}${date}`;
+    case 'deposit.paid':
+      return `Deposit${event.amount ? ` of $${event.amount}` : ''} paid for ${name}${date}`;
+    case 'menu.finalized': {
+      const menu = Array.isArray(event.menu) && event.menu.length > 0 ? `: ${event.menu.join(', ')}` : '';
+      return `Menu finalized for ${name}${date}${menu}`;
+    }
+    case 'event.date_changed':
+      return `Date changed for ${name}${event.previousEventDate ? ` from ${event.previousEventDate}` : ''} to ${event.eventDate}`;
+    default:
+      return EVENT_TYPES[event.type] || event.type;
+  }
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,79 @@
+import { createLogger } from '../utils/logger.js';
+import { setOptOut, storeAutoResponse } from './supabase.js';
+import { sendSMS } from './twilio.js';
+import { sendMessage } from './telegram.js';
+
+const logger = createLogger('opt-out');
+
+// Carrier keywords (CTIA/CASL), English and French. Matched against the whole
+// message after uppercasing and stripping accents/punctuation.
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'ARRET', 'ARRETER', 'DESABONNER', 'DESINSCRIRE'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'DEBUT', 'REPRENDRE'];
+const HELP_KEYWORDS = ['HELP', 'INFO', 'AIDE'];
+
+const BUSINESS_NAME = 'MTL Craft Cocktails';
+
+const AUTO_RESPONSES = {
+  opt_out: `${BUSINESS_NAME}: You are unsubscribed and will receive no further messages. Reply START to resubscribe.\n\nVous etes desabonne(e) et ne recevrez plus de messages. Repondez DEBUT pour vous reabonner.`,
+  opt_in: `${BUSINESS_NAME}: You are resubscribed and can text us anytime. Reply STOP to unsubscribe.\n\nVous etes reabonne(e). Repondez ARRET pour vous desabonner.`,
+  help: `${BUSINESS_NAME}: Mobile bartending and cocktail workshops in Montreal. Reply to this number to reach us. Reply STOP to unsubscribe. Msg & data rates may apply.\n\nService de bar mobile et ateliers de cocktails a Montreal. Repondez ARRET pour vous desabonner.`
+};
+
+/**
+ * Detect a carrier compliance keyword.
+ * Returns 'opt_out', 'opt_in', 'help' or null.
+ */
+export function detectComplianceKeyword(body) {
+  if (!body) return null;
+
+  const normalized = body
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z]/g, '')
+    .toUpperCase();
+
+  if (OPT_OUT_KEYWORDS.includes(normalized)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(normalized)) return 'opt_in';
+  if (HELP_KEYWORDS.includes(normalized)) return 'help';
+  return null;
+}
+
+/**
+ * Apply a compliance keyword: update the opt-out flag, send the
+ * auto-response and let Ashley know. No draft is generated.
+ */
+export async function handleComplianceKeyword(conversation, keyword, body) {
+  const phoneNumber = conversation.phone_number;
+  const displayName = conversation.client_name || phoneNumber;
+
+  if (keyword === 'opt_out') {
+    await setOptOut(conversation.id, true, body);
+  } else if (keyword === 'opt_in') {
+    await setOptOut(conversation.id, false, body);
+  }
+
+  const reply = AUTO_RESPONSES[keyword];
+  const result = await sendSMS(phoneNumber, reply);
+  if (result.success) {
+    await storeAutoResponse(conversation.id, reply, result.sid, keyword);
+  } else {
+    // Twilio's own opt-out handling may already block the number (21610)
+    logger.warn({ phoneNumber, keyword, error: result.error }, 'Compliance auto-response not sent');
+  }
+
+  if (keyword === 'opt_out') {
+    await sendMessage(`🚫 <b>${escapeHtml(displayName)}</b> opted out ("${escapeHtml(body)}"). No further SMS will be sent to ${escapeHtml(phoneNumber)}.`);
+  } else if (keyword === 'opt_in') {
+    await sendMessage(`✅ <b>${escapeHtml(displayName)}</b> opted back in ("${escapeHtml(body)}").`);
+  }
+
+  logger.info({ conversationId: conversation.id, keyword }, 'Compliance keyword handled');
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
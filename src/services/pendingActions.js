@@ -1,23 +1,446 @@
-const pendingActions = new Map();
-const ACTION_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { applyMenuChange, evaluateMenuChange } from './mtlApi.js';
+import {
+  MENU_BATCH_ACTION, MENU_AMBIGUOUS_ACTION, buildMenuOperations, selectOperations, summarizeOperations,
+  buildApplyPayload, describeCandidate, candidateIdentifier
+} from './menuChanges.js';
 
-export function setPendingAction(messageId, action) {
-  if (!messageId || !action) return;
-  pendingActions.set(messageId, { ...action, timestamp: Date.now() });
+const logger = createLogger('pending-actions');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ACTION_TTL_MS = parseFloat(process.env.PENDING_ACTION_TTL_HOURS || '6') * 60 * 60 * 1000;
+
+// Clients often answer "which event?" the next day
+const AMBIGUITY_TTL_MS = 72 * 60 * 60 * 1000;
+
+// How long an instance holds the apply lock before another may take over
+const APPLY_LOCK_MS = 60_000;
+
+const MENU_ACTIONS = ['update_menu', 'add_menu', 'remove_menu', MENU_BATCH_ACTION];
+
+/**
+ * Store the action to apply when a draft is approved.
+ * States: pending -> applied | failed | expired | declined
+ * An ambiguous menu change (several matching events) is stored as ambiguous -> resolved | expired.
+ */
+export async function setPendingAction(messageId, action) {
+  if (!messageId || !action) return null;
+
+  const status = action.status || 'pending';
+  const ttlMs = status === 'ambiguous' ? AMBIGUITY_TTL_MS : ACTION_TTL_MS;
+
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .upsert({
+      message_id: messageId,
+      conversation_id: action.conversationId || null,
+      type: action.type,
+      payload: action.payload,
+      summary: action.summary,
+      status,
+      error: null,
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      locked_until: null,
+      applied_at: null
+    }, { onConflict: 'message_id' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to store pending action');
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Store the outcome of an MTL dry-run for a draft: a batch of operations when it is
+ * ready, or the candidate events when it is ambiguous. Returns the stored action, or null.
+ */
+export async function storeMenuEvaluation(messageId, { conversationId, phone, message, data, pickedEvent = null, pickedOnApproval = false }) {
+  if (data?.status === 'ready') {
+    const operations = buildMenuOperations(data);
+    if (operations.length === 0) return null;
+
+    return setPendingAction(messageId, {
+      type: MENU_BATCH_ACTION,
+      conversationId,
+      payload: {
+        phone,
+        eventId: data.eventId,
+        currentMenu: Array.isArray(data.currentMenu) ? data.currentMenu : null,
+        operations,
+        pickedEvent: pickedEvent ? describeCandidate(pickedEvent) : null,
+        pickedOnApproval
+      },
+      summary: summarizeOperations(operations)
+    });
+  }
+
+  if (data?.status === 'ambiguous' && Array.isArray(data.options) && data.options.length > 0) {
+    return setPendingAction(messageId, {
+      type: MENU_AMBIGUOUS_ACTION,
+      status: 'ambiguous',
+      conversationId,
+      payload: { phone, message, candidates: data.options },
+      summary: `Menu change for which event? ${data.options.map(describeCandidate).join(' / ')}`
+    });
+  }
+
+  return null;
 }
 
-export function getPendingAction(messageId) {
-  const entry = pendingActions.get(messageId);
-  if (!entry) return null;
+/**
+ * The latest unresolved ambiguous menu change for a conversation, or null
+ */
+export async function findOpenAmbiguity(conversationId) {
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .eq('status', 'ambiguous')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to find open menu ambiguity');
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Mark an ambiguity resolved by the client's reply (the change moves to the new draft)
+ */
+export async function markAmbiguityResolved(messageId, candidate) {
+  await markAction(messageId, {
+    status: 'resolved',
+    summary: `Client picked ${describeCandidate(candidate)}`
+  }, 'ambiguous');
+}
+
+/**
+ * Ashley picks the event for an ambiguous menu change on the approval page:
+ * re-run the dry-run for that event and replace the ambiguity with its result.
+ * Returns { ok: true, action } or { ok: false, error }.
+ */
+export async function resolveAmbiguousAction(messageId, candidateIndex) {
+  const action = await getPendingAction(messageId);
+  if (!action || action.type !== MENU_AMBIGUOUS_ACTION || action.status !== 'ambiguous') {
+    return { ok: false, error: 'This menu change is no longer waiting for an event.' };
+  }
+
+  const candidate = action.payload.candidates?.[candidateIndex];
+  if (!candidate) return { ok: false, error: 'Unknown event.' };
+
+  const result = await evaluateMenuChange({
+    phone: action.payload.phone,
+    message: action.payload.message,
+    eventIdentifier: candidateIdentifier(candidate)
+  });
+
+  if (!result.ok || result.data?.status !== 'ready') {
+    const error = result.error || result.data?.message || `The MTL app returned ${result.data?.status || 'no result'}.`;
+    logger.warn({ messageId, error }, 'Could not resolve ambiguous menu change');
+    return { ok: false, error };
+  }
+
+  const stored = await storeMenuEvaluation(messageId, {
+    conversationId: action.conversation_id,
+    phone: action.payload.phone,
+    message: action.payload.message,
+    data: result.data,
+    pickedEvent: candidate,
+    pickedOnApproval: true
+  });
+  if (!stored) return { ok: false, error: 'No menu change found for that event.' };
+
+  logger.info({ messageId, candidate: describeCandidate(candidate) }, 'Ambiguous menu change resolved');
+  return { ok: true, action: stored };
+}
+
+/**
+ * Get the action linked to a draft (any state), or null if there is none.
+ * Pending actions past their TTL are marked expired on read.
+ */
+export async function getPendingAction(messageId) {
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .select('*')
+    .eq('message_id', messageId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to get pending action');
+    return null;
+  }
+
+  return data ? expireIfStale(data) : null;
+}
+
+/**
+ * Get actions for several drafts, keyed by message ID
+ */
+export async function getPendingActions(messageIds) {
+  if (!messageIds || messageIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .select('*')
+    .in('message_id', messageIds);
+
+  if (error) {
+    logger.error({ error }, 'Failed to get pending actions');
+    return {};
+  }
+
+  const byMessage = {};
+  for (const row of data || []) {
+    byMessage[row.message_id] = await expireIfStale(row);
+  }
+  return byMessage;
+}
+
+/**
+ * Accept only the listed operations of a batched menu change (the rest are declined).
+ * Only possible before the change is applied. Returns the updated action, or null.
+ */
+export async function selectPendingOperations(messageId, acceptedIds) {
+  const action = await getPendingAction(messageId);
+  if (!action || action.type !== MENU_BATCH_ACTION || !['pending', 'failed'].includes(action.status)) {
+    return null;
+  }
+
+  const operations = selectOperations(action.payload.operations || [], acceptedIds);
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .update({ payload: { ...action.payload, operations }, summary: summarizeOperations(operations) })
+    .eq('message_id', messageId)
+    .in('status', ['pending', 'failed'])
+    .select()
+    .maybeSingle();
 
-  if (Date.now() - entry.timestamp > ACTION_TTL_MS) {
-    pendingActions.delete(messageId);
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to update menu operation selection');
     return null;
   }
 
-  return entry;
+  return data;
+}
+
+/**
+ * Keep an action from expiring before its draft's scheduled send: it is applied when the
+ * message goes out, so it stays valid for the usual TTL after sendAt.
+ */
+export async function holdPendingAction(messageId, sendAt) {
+  const { error } = await supabase
+    .from('sms_pending_actions')
+    .update({ expires_at: new Date(sendAt.getTime() + ACTION_TTL_MS).toISOString() })
+    .eq('message_id', messageId)
+    .in('status', ['pending', 'failed']);
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to hold pending action for scheduled send');
+  }
+}
+
+/**
+ * Re-confirm an expired action: back to pending with a fresh TTL. Returns true if renewed.
+ */
+export async function renewPendingAction(messageId) {
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .update({ status: 'pending', error: null, expires_at: new Date(Date.now() + ACTION_TTL_MS).toISOString() })
+    .eq('message_id', messageId)
+    .eq('status', 'expired')
+    .neq('type', MENU_AMBIGUOUS_ACTION)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to renew pending action');
+    return false;
+  }
+  return Boolean(data);
+}
+
+/**
+ * Discard an expired action: marked declined, and the draft can be sent without it.
+ * Returns true if discarded.
+ */
+export async function discardPendingAction(messageId) {
+  const { data, error } = await supabase
+    .from('sms_pending_actions')
+    .update({ status: 'declined', locked_until: null })
+    .eq('message_id', messageId)
+    .eq('status', 'expired')
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to discard pending action');
+    return false;
+  }
+  return Boolean(data);
+}
+
+/**
+ * Why an expired action holds its draft back
+ */
+export function expiredActionError(action) {
+  return `Menu change expired before approval (${action.summary}). Re-confirm or discard it on the approval page`;
 }
 
-export function clearPendingAction(messageId) {
-  pendingActions.delete(messageId);
+/**
+ * Drop the action for a rejected draft (nothing will be applied)
+ */
+export async function clearPendingAction(messageId) {
+  const { error } = await supabase
+    .from('sms_pending_actions')
+    .delete()
+    .eq('message_id', messageId)
+    .neq('status', 'applied');
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to clear pending action');
+  }
+}
+
+/**
+ * Apply the action for an approved draft, exactly once across instances.
+ * Returns { status: 'none' | 'applied' | 'failed' | 'expired', summary?, error? }.
+ * A failed action can be retried by approving again. An expired one holds the draft back the
+ * same way, so its confirmation never goes out without the change, until Ashley re-confirms
+ * it (renewPendingAction) or discards it (discardPendingAction).
+ * A batch with every operation declined is marked declined and nothing is applied.
+ */
+export async function applyPendingAction(messageId) {
+  const action = await getPendingAction(messageId);
+  if (!action) return { status: 'none' };
+
+  if (action.status === 'applied') {
+    return { status: 'applied', summary: action.summary };
+  }
+
+  // Nothing to apply: the draft asks which event, and the change follows the answer
+  if (action.type === MENU_AMBIGUOUS_ACTION) {
+    return { status: 'none' };
+  }
+
+  if (action.status === 'expired') {
+    return { status: 'expired', summary: action.summary, error: expiredActionError(action) };
+  }
+
+  if (action.status === 'declined') {
+    return { status: 'none' };
+  }
+
+  if (!MENU_ACTIONS.includes(action.type)) {
+    await markAction(messageId, { status: 'applied', applied_at: new Date().toISOString() });
+    return { status: 'none' };
+  }
+
+  const isBatch = action.type === MENU_BATCH_ACTION;
+  if (isBatch && !(action.payload.operations || []).some(op => op.accepted !== false)) {
+    await markAction(messageId, { status: 'declined', locked_until: null });
+    return { status: 'none' };
+  }
+
+  // Claim: only one instance applies, and only while pending/failed
+  const now = new Date();
+  const { data: claimed } = await supabase
+    .from('sms_pending_actions')
+    .update({ locked_until: new Date(now.getTime() + APPLY_LOCK_MS).toISOString() })
+    .eq('message_id', messageId)
+    .in('status', ['pending', 'failed'])
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('id')
+    .maybeSingle();
+
+  if (!claimed) {
+    logger.warn({ messageId }, 'Pending action is being applied elsewhere');
+    return { status: 'failed', error: 'Menu change is already being applied. Try again in a minute.' };
+  }
+
+  if (!isBatch) {
+    const result = await applyMenuChange(action.payload);
+    if (!result.ok || result.data?.status !== 'applied') {
+      return failAction(messageId, result);
+    }
+    return markApplied(messageId, action, result.data?.summary || action.summary);
+  }
+
+  // The MTL app takes one operation per call: apply the accepted ones in order and record
+  // each success, so a retry after a failure resumes at the first operation not yet applied
+  const operations = action.payload.operations.map(op => ({ ...op }));
+  const toApply = operations.filter(op => op.accepted !== false && !op.applied);
+  let lastSummary = null;
+  for (const op of toApply) {
+    const result = await applyMenuChange(buildApplyPayload(action.payload, op));
+    if (!result.ok || result.data?.status !== 'applied') {
+      const applied = operations.filter(o => o.applied).map(o => o.summary);
+      return failAction(messageId, result, {
+        note: applied.length > 0 ? `Already applied: ${applied.join('; ')}` : null,
+        fields: { payload: { ...action.payload, operations } }
+      });
+    }
+    op.applied = true;
+    lastSummary = result.data?.summary;
+  }
+
+  return markApplied(messageId, action, toApply.length === 1 && lastSummary ? lastSummary : action.summary, {
+    payload: { ...action.payload, operations }
+  });
+}
+
+async function failAction(messageId, result, { note = null, fields = {} } = {}) {
+  const reason = result.error || result.data?.error || 'Menu update failed';
+  const error = note ? `${reason}. ${note}` : reason;
+  await markAction(messageId, { ...fields, status: 'failed', error, locked_until: null });
+  logger.warn({ messageId, error }, 'Pending action failed');
+  return { status: 'failed', error };
+}
+
+async function markApplied(messageId, action, summary, fields = {}) {
+  await markAction(messageId, {
+    ...fields,
+    status: 'applied',
+    summary,
+    error: null,
+    locked_until: null,
+    applied_at: new Date().toISOString()
+  });
+  logger.info({ messageId, type: action.type }, 'Pending action applied');
+  return { status: 'applied', summary };
+}
+
+async function expireIfStale(action) {
+  if (!['pending', 'ambiguous'].includes(action.status) || Date.parse(action.expires_at) > Date.now()) {
+    return action;
+  }
+
+  await markAction(action.message_id, { status: 'expired' }, action.status);
+  return { ...action, status: 'expired' };
+}
+
+async function markAction(messageId, fields, fromStatus = null) {
+  let query = supabase
+    .from('sms_pending_actions')
+    .update(fields)
+    .eq('message_id', messageId);
+  if (fromStatus) query = query.eq('status', fromStatus);
+
+  const { error } = await query;
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to update pending action');
+  }
 }
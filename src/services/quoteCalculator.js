@@ -0,0 +1,217 @@
+// Pricing rules from getDefaultBusinessContext (mem0.js). Keep the two in sync.
+const PRICING = {
+  // Per person; the business context only gives a range, so the rate is set per event
+  tailored: { min: 15, max: 25, rate: parseRate(process.env.QUOTE_TAILORED_RATE) },
+  ultimate: { min: 30, max: 60, rate: parseRate(process.env.QUOTE_ULTIMATE_RATE) },
+  workshopAtClient: 72,
+  workshopAtLoft: 89,
+  workshopMinGuests: 6,
+  mixologistHourly: 40,
+  guestsPerBartender: 40,
+  barRental: [
+    { maxGuests: 50, label: '4ft', price: 150 },
+    { maxGuests: 100, label: '6ft', price: 200 },
+    { maxGuests: Infinity, label: '8ft', price: 300 }
+  ],
+  glassPerGuestHour: 1,
+  travelMontreal: 60,
+  travelOutside: 150,
+  depositRate: 0.25
+};
+
+const DEFAULT_HOURS = 4;
+
+/**
+ * Itemized estimate from a lead profile (see leadProfile.js).
+ * Returns { lines: [{ label, labelFr, amount, estimated }], subtotal, deposit, balance, hours,
+ * assumptions, estimated }, or { error } when the guest count is unknown. Lines priced from a range
+ * (no configured per-person rate) use its low end and are flagged `estimated`.
+ */
+export function calculateQuote(profile) {
+  const guests = profile?.guestCount;
+  if (!Number.isInteger(guests) || guests <= 0) {
+    return { error: 'Guest count needed for a quote' };
+  }
+
+  const assumptions = [];
+  let hours = parseDurationHours(profile.timeRange);
+  if (!hours) {
+    hours = DEFAULT_HOURS;
+    assumptions.push(`${DEFAULT_HOURS}h event (no time range yet)`);
+  }
+
+  const lines = /workshop|atelier|class|cours/i.test(profile.eventType || '')
+    ? workshopLines(profile, guests, assumptions)
+    : barLines(profile, guests, hours, assumptions);
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const deposit = roundCents(subtotal * PRICING.depositRate);
+
+  const estimated = lines.some(l => l.estimated);
+  return { lines, subtotal, deposit, balance: roundCents(subtotal - deposit), hours, assumptions, estimated };
+}
+
+/**
+ * SMS-ready text for a quote, in English or French. Estimated amounts read "from $X" and the
+ * text says the per-person rate is still to be confirmed.
+ */
+export function formatQuoteText(quote, lang = 'en') {
+  const fr = lang === 'fr';
+  const amount = (value, estimated) => estimated
+    ? `${fr ? 'à partir de' : 'from'} ${formatMoney(value, fr)}`
+    : formatMoney(value, fr);
+  const lines = quote.lines.map(line => `- ${fr ? line.labelFr : line.label}: ${amount(line.amount, line.estimated)}`);
+  const percent = Math.round(PRICING.depositRate * 100);
+
+  return [
+    fr ? 'Estimation (avant taxes):' : 'Estimate (before taxes):',
+    ...lines,
+    `Total: ${amount(quote.subtotal, quote.estimated)}`,
+    ...(quote.estimated
+      ? [fr
+        ? 'Le prix par personne dépend du type et de la durée de l\'événement; nous le confirmerons avec vous.'
+        : 'The per-person rate depends on the event type and length; we\'ll confirm it with you.']
+      : []),
+    fr
+      ? `Dépôt de ${percent}% (${amount(quote.deposit, quote.estimated)}) pour réserver, solde la veille de l'événement.`
+      : `${percent}% deposit (${amount(quote.deposit, quote.estimated)}) to book, balance due the day before the event.`
+  ].join('\n');
+}
+
+/**
+ * Length in hours of a time range such as "6pm–11pm", "18h–23h" or "7:30pm-12am".
+ * Ranges past midnight are handled. Returns null if it cannot be read.
+ */
+export function parseDurationHours(timeRange) {
+  if (!timeRange) return null;
+
+  const parts = String(timeRange).toLowerCase().split(/\s*(?:-|–|to|until|à|jusqu'?à)\s*/);
+  if (parts.length !== 2) return null;
+
+  const [start, end] = parts.map(parseClock);
+  if (!start || !end) return null;
+
+  // "6-11pm": the start takes the end's am/pm when it has none and that makes sense
+  let startMinutes = start.minutes;
+  if (start.meridiem === null && end.meridiem === 'pm' && start.hour < 12 && start.hour + 12 <= end.hour24) {
+    startMinutes += 12 * 60;
+  }
+
+  let duration = end.minutes - startMinutes;
+  if (duration <= 0) duration += 24 * 60;
+  const hours = Math.round(duration / 30) / 2;
+  return hours > 0 && hours <= 16 ? hours : null;
+}
+
+function barLines(profile, guests, hours, assumptions) {
+  const lines = [];
+
+  const openBar = /open bar|with us|ultimate/i.test(profile.alcoholSupply || '');
+  if (!profile.alcoholSupply) assumptions.push('client supplies alcohol (not confirmed)');
+  const tier = openBar ? PRICING.ultimate : PRICING.tailored;
+  const name = openBar ? 'Ultimate Bar' : 'Tailored Bar';
+  if (tier.rate) {
+    lines.push(line(
+      `${openBar ? 'Ultimate Bar (open bar)' : 'Tailored Bar'}: ${guests} guests x $${tier.rate}`,
+      `${openBar ? 'Ultimate Bar (bar ouvert)' : 'Tailored Bar'}: ${guests} invités x ${tier.rate} $`,
+      guests * tier.rate
+    ));
+  } else {
+    assumptions.push(`${name} at $${tier.min}/person, the low end of $${tier.min}–${tier.max} (rate depends on event type and duration; confirm before sending)`);
+    lines.push({
+      ...line(
+        `${openBar ? 'Ultimate Bar (open bar)' : 'Tailored Bar'}: ${guests} guests x $${tier.min}–${tier.max}`,
+        `${openBar ? 'Ultimate Bar (bar ouvert)' : 'Tailored Bar'}: ${guests} invités x ${tier.min}–${tier.max} $`,
+        guests * tier.min
+      ),
+      estimated: true
+    });
+  }
+
+  const bartenders = Math.max(1, Math.ceil(guests / PRICING.guestsPerBartender));
+  const setupHours = /wedding|mariage/i.test(profile.eventType || '') ? 3 : guests > 100 ? 2 : 1;
+  const billedHours = hours + setupHours;
+  lines.push(line(
+    `${bartenders} mixologist${bartenders === 1 ? '' : 's'} x ${billedHours}h (incl. ${setupHours}h setup) x $${PRICING.mixologistHourly}`,
+    `${bartenders} mixologue${bartenders === 1 ? '' : 's'} x ${billedHours}h (dont ${setupHours}h d'installation) x ${PRICING.mixologistHourly} $`,
+    bartenders * billedHours * PRICING.mixologistHourly
+  ));
+
+  if (/rental|location/i.test(profile.barService || '')) {
+    const bar = PRICING.barRental.find(b => guests <= b.maxGuests);
+    lines.push(line(`Bar rental (${bar.label}, delivery included)`, `Location de bar (${bar.label}, livraison incluse)`, bar.price));
+  }
+
+  if (/real|verre/i.test(profile.glassware || '')) {
+    lines.push(line(
+      `Glassware: ${guests} guests x ${hours}h x $${PRICING.glassPerGuestHour}`,
+      `Verrerie: ${guests} invités x ${hours}h x ${PRICING.glassPerGuestHour} $`,
+      guests * hours * PRICING.glassPerGuestHour
+    ));
+  }
+
+  lines.push(travelLine(profile, assumptions));
+  return lines;
+}
+
+function workshopLines(profile, guests, assumptions) {
+  const atLoft = /loft/i.test(profile.venue || '');
+  const billedGuests = Math.max(guests, PRICING.workshopMinGuests);
+  if (billedGuests > guests) assumptions.push(`workshop minimum of ${PRICING.workshopMinGuests} people`);
+
+  const rate = atLoft ? PRICING.workshopAtLoft : PRICING.workshopAtClient;
+  return [line(
+    `Workshop ${atLoft ? 'at Loft Beauty' : 'at your location'}: ${billedGuests} people x $${rate}`,
+    `Atelier ${atLoft ? 'au Loft Beauty' : 'chez vous'}: ${billedGuests} personnes x ${rate} $`,
+    billedGuests * rate
+  )];
+}
+
+function travelLine(profile, assumptions) {
+  const venue = profile.venue || '';
+  if (!venue) assumptions.push('venue within Montreal (no venue yet)');
+
+  const outside = venue && !/montr[ée]al|\bmtl\b|old port|vieux|plateau|mile end|griffintown|verdun|westmount|outremont|rosemont|villeray|hochelaga|saint-henri|st-henri|ndg|downtown|centre-ville/i.test(venue);
+  if (outside) assumptions.push(`"${venue}" treated as outside Montreal`);
+
+  return outside
+    ? line('Travel (outside Montreal)', 'Déplacement (hors Montréal)', PRICING.travelOutside)
+    : line('Travel (Montreal)', 'Déplacement (Montréal)', PRICING.travelMontreal);
+}
+
+function line(label, labelFr, amount) {
+  return { label, labelFr, amount };
+}
+
+function parseClock(text) {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2})|h(\d{2})?)?\s*(am|pm)?$/);
+  if (!match) {
+    if (/^(midnight|minuit)$/.test(text.trim())) return { hour: 0, hour24: 24, minutes: 24 * 60, meridiem: 'am' };
+    return null;
+  }
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] || match[3] || '0', 10);
+  const meridiem = match[4] || null;
+  if (hour > 24 || minute > 59) return null;
+
+  let hour24 = hour;
+  if (meridiem === 'pm' && hour < 12) hour24 += 12;
+  if (meridiem === 'am' && hour === 12) hour24 = 0;
+
+  return { hour, hour24, minutes: hour24 * 60 + minute, meridiem };
+}
+
+function parseRate(value) {
+  const rate = parseFloat(value);
+  return rate > 0 ? rate : null;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function formatMoney(amount, fr) {
+  const text = Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+  return fr ? `${text.replace('.', ',')} $` : `$${text}`;
+}
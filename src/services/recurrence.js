@@ -0,0 +1,299 @@
+import { getLocalParts, torontoTimeToDate } from './scheduledSend.js';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const NTH_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// How far ahead to look for the next occurrence (covers yearly rules with an interval)
+const MAX_SEARCH_DAYS = 366 * 10;
+
+/**
+ * Parse an RRULE (RFC 5545 subset): FREQ, INTERVAL, BYDAY (with ordinals for monthly,
+ * e.g. 1MO or -1FR), BYMONTHDAY, BYMONTH, BYHOUR, BYMINUTE, COUNT and UNTIL.
+ * A leading "RRULE:" is allowed. Returns { rule } or { error }.
+ */
+export function parseRecurrence(text) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'recurrence must be an RRULE string' };
+
+  const rule = { interval: 1 };
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey?.toUpperCase();
+    if (!value) return { error: `Invalid RRULE part: ${part}` };
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval >= 1)) return { error: 'INTERVAL must be a positive number' };
+        break;
+      case 'BYDAY': {
+        rule.byDay = [];
+        for (const day of value.toUpperCase().split(',')) {
+          const match = day.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) return { error: `Invalid BYDAY value: ${day}` };
+          rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), nth: match[1] ? parseInt(match[1], 10) : null });
+        }
+        break;
+      }
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(v => parseInt(v, 10));
+        if (rule.byMonthDay.some(d => !d || d < -31 || d > 31)) return { error: 'BYMONTHDAY must be 1 to 31 or -1 to -31' };
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(v => parseInt(v, 10));
+        if (rule.byMonth.some(m => !(m >= 1 && m <= 12))) return { error: 'BYMONTH must be 1 to 12' };
+        break;
+      case 'BYHOUR':
+        rule.byHour = parseInt(value, 10);
+        if (!(rule.byHour >= 0 && rule.byHour <= 23)) return { error: 'BYHOUR must be 0 to 23' };
+        break;
+      case 'BYMINUTE':
+        rule.byMinute = parseInt(value, 10);
+        if (!(rule.byMinute >= 0 && rule.byMinute <= 59)) return { error: 'BYMINUTE must be 0 to 59' };
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count >= 1)) return { error: 'COUNT must be a positive number' };
+        break;
+      case 'UNTIL': {
+        rule.until = parseUntil(value);
+        if (!rule.until) return { error: 'UNTIL must be a date (YYYYMMDD or ISO 8601)' };
+        break;
+      }
+      default:
+        return { error: `Unsupported RRULE part: ${key}` };
+    }
+  }
+
+  if (!rule.freq) return { error: 'RRULE needs FREQ' };
+  if (rule.count && rule.until) return { error: 'Use COUNT or UNTIL, not both' };
+  return { rule };
+}
+
+/**
+ * Add COUNT or UNTIL to an RRULE string (from separate request fields), replacing any there
+ */
+export function withRecurrenceEnd(text, { until, count } = {}) {
+  let parts = text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  if (until !== undefined || count !== undefined) {
+    parts = parts.filter(p => !/^(UNTIL|COUNT)=/i.test(p));
+  }
+  if (until !== undefined) {
+    // A bare date ("2026-12-31") ends the series after that day in Toronto
+    if (/^\d{4}-\d{2}-\d{2}$/.test(until)) {
+      parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+    } else {
+      const date = until instanceof Date ? until : new Date(until);
+      if (isNaN(date.getTime())) return null;
+      parts.push(`UNTIL=${date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+  }
+  if (count !== undefined) parts.push(`COUNT=${count}`);
+  return parts.join(';');
+}
+
+/**
+ * Validate recurrence fields from a request ({ recurrence, until, count }) against the
+ * first requested time. Returns { fields, first } where fields holds the reminder columns
+ * (recurrence, recurrence_start) and first is the first occurrence, or { error }.
+ */
+export function buildRecurrence({ recurrence, until, count }, start, now = new Date()) {
+  if (!recurrence) {
+    if (until !== undefined || count !== undefined) return { error: 'until and count need a recurrence' };
+    return { fields: {}, first: start };
+  }
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1)) {
+    return { error: 'count must be a positive whole number' };
+  }
+
+  const text = withRecurrenceEnd(String(recurrence), { until, count });
+  if (!text) return { error: 'until must be a date (YYYY-MM-DD) or ISO 8601 datetime' };
+
+  const { rule, error } = parseRecurrence(text);
+  if (error) return { error };
+
+  const first = firstOccurrence(rule, start, now);
+  if (!first) return { error: 'The recurrence has no occurrences after the start time' };
+
+  return { fields: { recurrence: text, recurrence_start: first.toISOString() }, first };
+}
+
+/**
+ * Turn a spoken repeat phrase into an RRULE: "every Monday", "weekdays", "every other week",
+ * "first of the month", "last Friday of the month", "every month on the 15th", "yearly".
+ * RRULE strings pass through. Returns null if the phrase is not understood.
+ */
+export function parseRepeatPhrase(phrase) {
+  if (!phrase) return null;
+  const text = String(phrase).toLowerCase().trim();
+  if (/^(rrule:)?freq=/i.test(text)) return text.toUpperCase().replace(/^RRULE:/, '');
+
+  const dayNames = DAY_NAMES.map(d => d.toLowerCase());
+  const days = dayNames
+    .map((name, i) => (new RegExp(`\\b${name}s?\\b`).test(text) ? WEEKDAYS[i] : null))
+    .filter(Boolean);
+  const interval = /every other|every 2nd|biweekly|every two/.test(text) ? 2
+    : parseInt(text.match(/every (\d+) (?:days|weeks|months|years)/)?.[1] || '1', 10);
+  const withInterval = rule => (interval > 1 ? `${rule};INTERVAL=${interval}` : rule);
+
+  // "first Monday of the month", "last Friday of every month"
+  const nth = text.match(/\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (nth && /month/.test(text)) {
+    const n = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 }[nth[1]];
+    return withInterval(`FREQ=MONTHLY;BYDAY=${n}${WEEKDAYS[dayNames.indexOf(nth[2])]}`);
+  }
+
+  // "first of the month", "15th of every month", "every month on the 15th"
+  if (/last day of (the|every) month/.test(text)) return withInterval('FREQ=MONTHLY;BYMONTHDAY=-1');
+  if (/month/.test(text)) {
+    const day = /\b(first|1st) of\b/.test(text) ? 1 : parseInt(text.match(/\b(\d{1,2})(st|nd|rd|th)\b/)?.[1] || '0', 10);
+    if (day >= 1 && day <= 31) return withInterval(`FREQ=MONTHLY;BYMONTHDAY=${day}`);
+  }
+
+  if (/weekday/.test(text)) return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+  if (days.length > 0) return withInterval(`FREQ=WEEKLY;BYDAY=${days.join(',')}`);
+  if (/daily|every (\d+ )?days?\b/.test(text)) return withInterval('FREQ=DAILY');
+  if (/weekly|every (\d+ |other )?weeks?\b|biweekly/.test(text)) return withInterval('FREQ=WEEKLY');
+  if (/monthly|every (\d+ |other )?months?\b/.test(text)) return withInterval('FREQ=MONTHLY');
+  if (/yearly|annually|every (\d+ |other )?years?\b/.test(text)) return withInterval('FREQ=YEARLY');
+  return null;
+}
+
+/**
+ * The first occurrence of a rule at or after start, and after now.
+ * start sets the time of day (in America/Toronto) unless BYHOUR/BYMINUTE are given.
+ */
+export function firstOccurrence(rule, start, now = new Date()) {
+  const anchor = getLocalParts(start);
+  const startAt = occurrenceOn(rule, anchor, anchor.dateStr);
+  if (startAt >= start && startAt > now && matchesDay(rule, anchor.dateStr, anchor.dateStr) && !pastEnd(rule, startAt, 0)) {
+    return startAt;
+  }
+  return nextOccurrence(rule, start, new Date(Math.max(start.getTime(), now.getTime())), 0);
+}
+
+/**
+ * The next occurrence after `after`, for a series that started at seriesStart and has
+ * fired `fired` times. Each occurrence keeps the local wall time, so a 9:00 AM reminder
+ * stays at 9:00 AM across daylight saving changes. Returns null when the series is over.
+ */
+export function nextOccurrence(rule, seriesStart, after, fired) {
+  if (rule.count && fired >= rule.count) return null;
+
+  const anchor = getLocalParts(seriesStart);
+  let day = getLocalParts(after).dateStr;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day = addDays(day, 1)) {
+    if (!matchesDay(rule, day, anchor.dateStr)) continue;
+
+    const at = occurrenceOn(rule, anchor, day);
+    if (at <= after) continue;
+    return pastEnd(rule, at, fired) ? null : at;
+  }
+  return null;
+}
+
+/**
+ * Plain-English description of a rule, e.g. "every week on Monday"
+ */
+export function describeRecurrence(text) {
+  const { rule } = parseRecurrence(text);
+  if (!rule) return text;
+
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  let description = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  if (rule.byDay) description += ` on ${rule.byDay.map(d => (d.nth ? `the ${NTH_NAMES[d.nth] || d.nth} ` : '') + DAY_NAMES[d.weekday]).join(', ')}`;
+  if (rule.byMonthDay) description += rule.byMonthDay.length === 1 && rule.byMonthDay[0] === -1
+    ? ' on the last day'
+    : ` on day ${rule.byMonthDay.join(', ')}`;
+  if (rule.count) description += `, ${rule.count} times`;
+  if (rule.until) description += `, until ${getLocalParts(rule.until).dateStr}`;
+  return description;
+}
+
+function occurrenceOn(rule, anchor, day) {
+  return torontoTimeToDate(day, rule.byHour ?? anchor.hour, rule.byMinute ?? anchor.minute);
+}
+
+function pastEnd(rule, at, fired) {
+  if (rule.until && at > rule.until) return true;
+  return Boolean(rule.count && fired >= rule.count);
+}
+
+// Whether a local date ("YYYY-MM-DD") is part of the series that started on startDay
+function matchesDay(rule, day, startDay) {
+  const [y, m, d] = day.split('-').map(Number);
+  const [sy, sm, sd] = startDay.split('-').map(Number);
+  const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  const startWeekday = new Date(Date.UTC(sy, sm - 1, sd)).getUTCDay();
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return daysBetween(startDay, day) % rule.interval === 0
+        && (!rule.byDay || rule.byDay.some(b => b.weekday === weekday));
+    case 'WEEKLY': {
+      // Weeks start on Monday, as in RRULE's default WKST
+      const weeks = Math.round(daysBetween(addDays(startDay, -((startWeekday + 6) % 7)), addDays(day, -((weekday + 6) % 7))) / 7);
+      const days = rule.byDay ? rule.byDay.map(b => b.weekday) : [startWeekday];
+      return weeks % rule.interval === 0 && days.includes(weekday);
+    }
+    case 'MONTHLY': {
+      const months = (y - sy) * 12 + (m - sm);
+      return months % rule.interval === 0 && matchesDayOfMonth(rule, y, m, d, weekday, sd);
+    }
+    case 'YEARLY': {
+      const months = rule.byMonth || [sm];
+      return (y - sy) % rule.interval === 0 && months.includes(m) && matchesDayOfMonth(rule, y, m, d, weekday, sd);
+    }
+    default:
+      return false;
+  }
+}
+
+function matchesDayOfMonth(rule, y, m, d, weekday, startDayOfMonth) {
+  const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+  if (rule.byMonthDay) {
+    return rule.byMonthDay.some(md => (md > 0 ? md : daysInMonth + md + 1) === d);
+  }
+  if (rule.byDay) {
+    return rule.byDay.some(b => {
+      if (b.weekday !== weekday) return false;
+      if (!b.nth) return true;
+      return b.nth > 0 ? Math.ceil(d / 7) === b.nth : Math.ceil((daysInMonth - d + 1) / 7) === -b.nth;
+    });
+  }
+  // Like RRULE, months without the start's day (e.g. the 31st) are skipped
+  return d === startDayOfMonth;
+}
+
+function parseUntil(value) {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (compact) {
+    const [, y, m, d, hh, mm, ss] = compact;
+    // A date-only UNTIL includes that whole day in Toronto
+    return hh
+      ? new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss))
+      : new Date(torontoTimeToDate(`${y}-${m}-${d}`, 23, 59).getTime() + 59_999);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / 86_400_000);
+}
+
+/**
+ * Add days to a date string "YYYY-MM-DD", return new date string.
+ */
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T12:00:00Z'); // noon to avoid DST edge
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
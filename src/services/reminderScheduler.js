@@ -1,6 +1,11 @@
 import { createClient } from '@supabase/supabase-js';
 import { createLogger } from '../utils/logger.js';
-import { sendMessage } from './telegram.js';
+import { sendMessage, buildReminderAckKeyboard } from './telegram.js';
+import { sendSMS } from './twilio.js';
+import { getVoiceModel } from './llm.js';
+import { processClientReminder } from './clientReminders.js';
+import { parseRecurrence, nextOccurrence, describeRecurrence } from './recurrence.js';
+import { formatSendTime } from './scheduledSend.js';
 
 const logger = createLogger('reminderScheduler');
 
@@ -11,6 +16,33 @@ const supabase = createClient(
 
 const DEFAULT_USER_ID = process.env.USER_ID || '3ed111ff-c28f-4cda-b987-1afa4f7eb081';
 
+// Ways to reach Ashley, tried in the reminder's deliver_via order until she acknowledges.
+// Reminders without deliver_via are a single call.
+export const ASHLEY_CHANNELS = ['telegram', 'sms', 'call'];
+
+// Spoken/loose names accepted for ASHLEY_CHANNELS ("text me", "Telegram then phone")
+const CHANNEL_ALIASES = { telegram: 'telegram', message: 'telegram', sms: 'sms', text: 'sms', call: 'call', phone: 'call' };
+
+// Statuses a reminder still fires from: waiting, being delivered or drafted, or escalating
+const ACTIVE_STATUSES = ['pending', 'delivering', 'drafting', 'awaiting_ack'];
+
+// Claimed by a delivery in progress; its outcome only lands if the reminder wasn't cancelled meanwhile
+const IN_FLIGHT_STATUSES = ['delivering', 'drafting'];
+
+// Minutes to wait for an acknowledgement before trying the next channel
+const DEFAULT_ESCALATE_AFTER_MINUTES = 10;
+
+// Vapi tool for acknowledging a reminder call (handled by POST /vapi/tools)
+const ACKNOWLEDGE_TOOL = {
+  type: 'function',
+  function: {
+    name: 'acknowledge_reminder',
+    description: 'Record that Ashley acknowledged this reminder (she pressed a key or said she got it).',
+    parameters: { type: 'object', properties: {} }
+  },
+  server: { url: `${process.env.WEBHOOK_URL}/vapi/tools` }
+};
+
 let intervalId = null;
 let vapiKeyWarned = false;
 
@@ -42,19 +74,22 @@ export function startReminderChecker() {
 }
 
 /**
- * Check for due reminders and trigger phone calls
+ * Check for due reminders: reminders to Ashley (Telegram, SMS or call, escalating until
+ * she acknowledges), and SMS drafts for clients
  */
 export async function checkReminders() {
   try {
-    // Guard: skip if required env vars are missing
-    if (!process.env.VAPI_API_KEY || !process.env.ASHLEY_PHONE_NUMBER) {
-      if (!vapiKeyWarned) {
-        logger.warn('VAPI_API_KEY or ASHLEY_PHONE_NUMBER not configured, skipping reminder checks');
-        vapiKeyWarned = true;
-      }
-      return;
+    // Guard: a call that is the last channel waits if required env vars are missing;
+    // earlier in a chain it hands over to the next channel (everything else still runs)
+    const canCall = Boolean(process.env.VAPI_API_KEY && process.env.ASHLEY_PHONE_NUMBER);
+    if (!canCall && !vapiKeyWarned) {
+      logger.warn('VAPI_API_KEY or ASHLEY_PHONE_NUMBER not configured, skipping reminder calls');
+      vapiKeyWarned = true;
     }
 
+    // Unacknowledged reminders move to their next channel and are picked up below
+    await escalateUnacknowledged();
+
     // Query for due reminders
     const { data: dueReminders, error: queryError } = await supabase
       .from('reminders')
@@ -76,7 +111,14 @@ export async function checkReminders() {
 
     // Process each due reminder
     for (const reminder of dueReminders) {
-      await processReminder(reminder);
+      if (reminder.channel === 'sms') {
+        await processSmsReminder(reminder);
+      } else {
+        const { via, hasNext } = getDeliveryStep(reminder);
+        if (canCall || via !== 'call' || hasNext) {
+          await processReminder(reminder);
+        }
+      }
     }
   } catch (error) {
     logger.error({ error }, 'Error in checkReminders');
@@ -84,16 +126,18 @@ export async function checkReminders() {
 }
 
 /**
- * Process a single reminder
+ * Deliver a reminder to Ashley on the current channel of its chain. With channels left,
+ * it waits for her acknowledgement; a channel that fails hands over to the next one at once.
  */
 async function processReminder(reminder) {
   const { id, message } = reminder;
+  const { via, step, hasNext } = getDeliveryStep(reminder);
 
   try {
     // Optimistic lock: only claim if still pending
     const { data: claimed, error: updateError } = await supabase
       .from('reminders')
-      .update({ status: 'calling' })
+      .update({ status: 'delivering' })
       .eq('id', id)
       .eq('status', 'pending')
       .select()
@@ -104,81 +148,191 @@ async function processReminder(reminder) {
       return;
     }
 
-    // Create natural first message
-    const firstMessage = `Hey Ashley, just a heads up — ${message}.`;
-
-    // Call Vapi API
-    const response = await fetch('https://api.vapi.ai/call', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.VAPI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        assistantId: process.env.VAPI_ASSISTANT_ID,
-        assistantOverrides: {
-          firstMessage,
-          model: {
-            provider: 'anthropic',
-            model: 'claude-3-7-sonnet-20250219',
-            messages: [{
-              role: 'system',
-              content: `You are Max, Ashley's AI employee at MTL Craft Cocktails. You just called Ashley to deliver a reminder: "${message}". That was your first message. If Ashley wants to chat, ask questions, or discuss anything — emails, tasks, business — be helpful and natural. You're her assistant, not just a reminder bot. Keep your tone casual and genuine.`
-            }]
-          }
-        },
-        customer: {
-          number: process.env.ASHLEY_PHONE_NUMBER
-        },
-        phoneNumberId: '8da70eaa-17e4-4e9d-ad53-d070833edd8b'
-      })
-    });
+    const result = await deliverReminder(reminder, via, hasNext);
 
-    const responseData = await response.json();
+    if (!result.ok) {
+      if (!hasNext) {
+        await handleReminderFailure(reminder, result.error);
+        return;
+      }
+      logger.warn({ id, via, error: result.error }, 'Reminder delivery failed, trying next channel');
+      await supabase
+        .from('reminders')
+        .update({ status: 'pending', escalation_step: step + 1 })
+        .eq('id', id)
+        .in('status', IN_FLIGHT_STATUSES);
+      return;
+    }
 
-    if (response.ok && responseData.id) {
-      // Success: mark as completed
+    // Wait for an acknowledgement before the next channel, or close out the occurrence
+    let nextAt = null;
+    if (hasNext) {
+      const minutes = reminder.escalate_after_minutes || DEFAULT_ESCALATE_AFTER_MINUTES;
       await supabase
         .from('reminders')
         .update({
-          status: 'completed',
-          vapi_call_id: responseData.id,
-          completed_at: new Date().toISOString()
+          ...result.fields,
+          status: 'awaiting_ack',
+          next_escalation_at: new Date(Date.now() + minutes * 60_000).toISOString()
         })
-        .eq('id', id);
-
-      await sendMessage(`📞 Reminder call placed: ${message}`);
-      logger.info({ id, vapiCallId: responseData.id }, 'Reminder call placed successfully');
+        .eq('id', id)
+        .in('status', IN_FLIGHT_STATUSES);
     } else {
-      // Failure: increment retry count
-      await handleReminderFailure(reminder, responseData);
+      nextAt = await finishOccurrence(reminder, result.fields);
     }
+
+    if (result.notice) {
+      await sendMessage(`${result.notice}: ${message}${nextAt ? ` (next: ${formatSendTime(nextAt)})` : ''}`,
+        hasNext ? buildReminderAckKeyboard(id) : undefined);
+    }
+    logger.info({ id, via, step, awaitingAck: hasNext }, 'Reminder delivered');
   } catch (error) {
     logger.error({ error, id }, 'Failed to process reminder');
     await handleReminderFailure(reminder, { error: error.message });
   }
 }
 
+/**
+ * Send a reminder to Ashley on one channel.
+ * Returns { ok, fields, notice } (notice: Telegram line to post about it) or { ok: false, error }.
+ */
+async function deliverReminder(reminder, via, awaitingAck) {
+  const { id, message } = reminder;
+
+  if (via === 'telegram') {
+    const telegramMessageId = await sendMessage(`🔔 Reminder: ${message}`,
+      awaitingAck ? buildReminderAckKeyboard(id) : undefined);
+    return telegramMessageId ? { ok: true, fields: {} } : { ok: false, error: { error: 'Telegram send failed' } };
+  }
+
+  if (via === 'sms') {
+    if (!process.env.ASHLEY_PHONE_NUMBER) {
+      return { ok: false, error: { error: 'ASHLEY_PHONE_NUMBER not configured' } };
+    }
+    const result = await sendSMS(process.env.ASHLEY_PHONE_NUMBER, `Reminder: ${message}`);
+    return result.success
+      ? { ok: true, fields: {}, notice: '📱 Reminder texted to you' }
+      : { ok: false, error: result };
+  }
+
+  if (!process.env.VAPI_API_KEY || !process.env.ASHLEY_PHONE_NUMBER) {
+    return { ok: false, error: { error: 'VAPI_API_KEY or ASHLEY_PHONE_NUMBER not configured' } };
+  }
+
+  // Create natural first message
+  const firstMessage = awaitingAck
+    ? `Hey Ashley, just a heads up — ${message}. Press any key or say got it so I know you heard.`
+    : `Hey Ashley, just a heads up — ${message}.`;
+
+  // Call Vapi API
+  const response = await fetch('https://api.vapi.ai/call', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.VAPI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      assistantId: process.env.VAPI_ASSISTANT_ID,
+      assistantOverrides: {
+        firstMessage,
+        // Key presses reach the model as text, so a keypress can acknowledge the reminder
+        keypadInputPlan: { enabled: true, timeoutSeconds: 2 },
+        model: {
+          ...getVoiceModel(),
+          messages: [{
+            role: 'system',
+            content: `You are Max, Ashley's AI employee at MTL Craft Cocktails. You just called Ashley to deliver a reminder: "${message}". That was your first message. When Ashley presses a key or says she got it, call acknowledge_reminder. If Ashley wants to chat, ask questions, or discuss anything — emails, tasks, business — be helpful and natural. You're her assistant, not just a reminder bot. Keep your tone casual and genuine.`
+          }],
+          tools: [ACKNOWLEDGE_TOOL]
+        }
+      },
+      // Echoed back on tool calls so acknowledge_reminder knows which reminder this is
+      metadata: { reminderId: id },
+      customer: {
+        number: process.env.ASHLEY_PHONE_NUMBER
+      },
+      phoneNumberId: '8da70eaa-17e4-4e9d-ad53-d070833edd8b'
+    })
+  });
+
+  const responseData = await response.json();
+
+  if (response.ok && responseData.id) {
+    return { ok: true, fields: { vapi_call_id: responseData.id }, notice: '📞 Reminder call placed' };
+  }
+  return { ok: false, error: responseData };
+}
+
+/**
+ * Process a client SMS reminder: draft it for approval or auto-send (see clientReminders.js)
+ */
+async function processSmsReminder(reminder) {
+  const { id, message } = reminder;
+
+  // Optimistic lock: only claim if still pending
+  const { data: claimed } = await supabase
+    .from('reminders')
+    .update({ status: 'drafting' })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select()
+    .single();
+
+  if (!claimed) {
+    logger.info({ id }, 'Reminder already being processed, skipping');
+    return;
+  }
+
+  try {
+    const result = await processClientReminder(reminder);
+    if (result.skipped) {
+      // An opted-out client gets no further occurrences either
+      await supabase
+        .from('reminders')
+        .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+        .eq('id', id)
+        .in('status', IN_FLIGHT_STATUSES);
+    } else {
+      await finishOccurrence(reminder, { draft_message_id: result.draftMessageId });
+    }
+  } catch (error) {
+    logger.error({ error, id, message }, 'Failed to draft SMS reminder');
+    await handleReminderFailure(reminder, { error: error.message });
+  }
+}
+
 /**
  * Handle reminder failure with retry logic
  */
 async function handleReminderFailure(reminder, errorData) {
   const { id, message, retry_count = 0 } = reminder;
   const newRetryCount = retry_count + 1;
+  const kind = reminder.channel === 'sms'
+    ? 'SMS reminder'
+    : { telegram: 'Telegram reminder', sms: 'Reminder text', call: 'Reminder call' }[getDeliveryStep(reminder).via];
 
-  logger.error({ id, retry_count: newRetryCount, errorData }, 'Reminder call failed');
+  logger.error({ id, retry_count: newRetryCount, errorData }, `${kind} failed`);
 
   if (newRetryCount >= 3) {
-    // Max retries reached: mark as failed
+    // Max retries reached: a recurring reminder gives up on this occurrence only
+    const nextAt = getNextOccurrence(reminder);
+    if (nextAt) {
+      await finishOccurrence(reminder, {}, nextAt);
+      await sendMessage(`⚠️ ${kind} failed after 3 attempts: ${message} (next: ${formatSendTime(nextAt)})`);
+      logger.warn({ id, message, nextAt }, 'Reminder occurrence failed, moved to next occurrence');
+      return;
+    }
+
     await supabase
       .from('reminders')
       .update({
         status: 'failed',
         retry_count: newRetryCount
       })
-      .eq('id', id);
+      .eq('id', id)
+      .in('status', IN_FLIGHT_STATUSES);
 
-    await sendMessage(`⚠️ Reminder call failed after 3 attempts: ${message}`);
+    await sendMessage(`⚠️ ${kind} failed after 3 attempts: ${message}`);
     logger.warn({ id, message }, 'Reminder marked as failed after max retries');
   } else {
     // Keep as pending for retry
@@ -188,23 +342,190 @@ async function handleReminderFailure(reminder, errorData) {
         status: 'pending',
         retry_count: newRetryCount
       })
-      .eq('id', id);
+      .eq('id', id)
+      .in('status', IN_FLIGHT_STATUSES);
 
     logger.info({ id, retry_count: newRetryCount }, 'Reminder will retry next cycle');
   }
 }
 
+/**
+ * The channel a reminder to Ashley is on: { via, step, hasNext }
+ */
+function getDeliveryStep(reminder) {
+  const chain = reminder.deliver_via?.length ? reminder.deliver_via : ['call'];
+  const step = Math.min(reminder.escalation_step || 0, chain.length - 1);
+  return { via: chain[step], step, hasNext: step < chain.length - 1 };
+}
+
+/**
+ * Reminders still unacknowledged past their escalation time go back to pending on the
+ * next channel of their chain
+ */
+async function escalateUnacknowledged() {
+  const { data: overdue, error } = await supabase
+    .from('reminders')
+    .select('id, message, escalation_step, next_escalation_at')
+    .eq('status', 'awaiting_ack')
+    .lte('next_escalation_at', new Date().toISOString());
+
+  if (error) {
+    logger.error({ error }, 'Failed to query unacknowledged reminders');
+    return;
+  }
+
+  for (const reminder of overdue || []) {
+    // Optimistic lock: an acknowledgement may land in between
+    const { data: escalated } = await supabase
+      .from('reminders')
+      .update({ status: 'pending', escalation_step: (reminder.escalation_step || 0) + 1, next_escalation_at: null })
+      .eq('id', reminder.id)
+      .eq('status', 'awaiting_ack')
+      .eq('next_escalation_at', reminder.next_escalation_at)
+      .select('id')
+      .maybeSingle();
+
+    if (escalated) {
+      logger.info({ id: reminder.id, step: (reminder.escalation_step || 0) + 1 }, 'Reminder not acknowledged, escalating');
+    }
+  }
+}
+
+/**
+ * Ashley acknowledged a reminder (via 'telegram' or 'call'): stop its escalation and close
+ * out the occurrence. Acknowledging one that already ran its course only records it.
+ * Returns the reminder, or null if not found.
+ */
+export async function acknowledgeReminder(id, via) {
+  const acknowledged = { acknowledged_at: new Date().toISOString(), acknowledged_via: via };
+
+  // Claim it if still escalating: waiting on her, or due on its next channel
+  const { data: claimed } = await supabase
+    .from('reminders')
+    .update({ status: 'delivering' })
+    .eq('id', id)
+    .or('status.eq.awaiting_ack,and(status.eq.pending,escalation_step.gt.0)')
+    .select()
+    .maybeSingle();
+
+  if (claimed) {
+    await finishOccurrence(claimed, acknowledged);
+    logger.info({ id, via }, 'Reminder acknowledged, escalation stopped');
+    return claimed;
+  }
+
+  const { data, error } = await supabase
+    .from('reminders')
+    .update(acknowledged)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, id }, 'Failed to record reminder acknowledgement');
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Validate the delivery fields of a reminder to Ashley: deliver_via (an array or
+ * comma-separated list of 'telegram', 'sms' and 'call', in the order to try them) and
+ * escalate_after_minutes. Returns { fields } for createReminder, or { error }.
+ */
+export function validateDeliveryChain({ deliver_via: deliverVia, escalate_after_minutes: escalateAfter }) {
+  const fields = {};
+
+  if (deliverVia !== undefined) {
+    const names = Array.isArray(deliverVia)
+      ? deliverVia.map(String)
+      : String(deliverVia).toLowerCase().split(/\s*(?:,|\bthen\b|\band\b|\bor\b)\s*/);
+    const chain = names
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => CHANNEL_ALIASES[name] || CHANNEL_ALIASES[name.split(/\s+/).find(word => CHANNEL_ALIASES[word])]);
+
+    if (chain.length === 0 || chain.some(via => !via)) {
+      return { error: `deliver_via must list channels from: ${ASHLEY_CHANNELS.join(', ')}` };
+    }
+    fields.deliver_via = chain;
+  }
+
+  if (escalateAfter !== undefined) {
+    const minutes = Number(escalateAfter);
+    if (!(minutes > 0 && minutes <= 24 * 60)) {
+      return { error: 'escalate_after_minutes must be between 1 and 1440' };
+    }
+    fields.escalate_after_minutes = minutes;
+  }
+
+  return { fields };
+}
+
+/**
+ * When a recurring reminder fires next, or null for one-shot reminders and finished series.
+ * Occurrences missed while the server was down are skipped rather than fired in a burst.
+ */
+function getNextOccurrence(reminder) {
+  if (!reminder.recurrence) return null;
+
+  const { rule, error } = parseRecurrence(reminder.recurrence);
+  if (error) {
+    logger.error({ id: reminder.id, recurrence: reminder.recurrence, error }, 'Invalid stored recurrence');
+    return null;
+  }
+
+  const scheduled = new Date(reminder.scheduled_for);
+  const after = scheduled > new Date() ? scheduled : new Date();
+  const seriesStart = new Date(reminder.recurrence_start || reminder.scheduled_for);
+  return nextOccurrence(rule, seriesStart, after, (reminder.occurrence_count || 0) + 1);
+}
+
+/**
+ * Close out the occurrence that just fired: a recurring reminder goes back to pending at
+ * its next occurrence, anything else is completed. Returns the next occurrence or null.
+ */
+async function finishOccurrence(reminder, fields, nextAt = getNextOccurrence(reminder)) {
+  const occurrenceCount = (reminder.occurrence_count || 0) + 1;
+  const update = nextAt
+    ? { ...fields, status: 'pending', scheduled_for: nextAt.toISOString(), retry_count: 0 }
+    : { ...fields, status: 'completed', completed_at: new Date().toISOString() };
+
+  const { error } = await supabase
+    .from('reminders')
+    .update({
+      ...update,
+      occurrence_count: occurrenceCount,
+      last_fired_at: new Date().toISOString(),
+      escalation_step: 0,
+      next_escalation_at: null
+    })
+    .eq('id', reminder.id)
+    .in('status', IN_FLIGHT_STATUSES);
+
+  if (error) {
+    logger.error({ error, id: reminder.id }, 'Failed to update reminder after firing');
+  } else if (nextAt) {
+    logger.info({ id: reminder.id, nextAt, recurrence: describeRecurrence(reminder.recurrence) }, 'Recurring reminder rescheduled');
+  }
+  return nextAt;
+}
+
 /**
  * Create a new reminder
  * @param {string} message - Reminder message
- * @param {string} scheduledFor - ISO timestamp
+ * @param {string} scheduledFor - ISO timestamp (the first occurrence for recurring reminders)
+ * @param {object} [fields] - Extra columns, e.g. the SMS fields from validateClientReminder
+ *   or recurrence and recurrence_start from buildRecurrence
  * @returns {Promise<object>} Created reminder row
  */
-export async function createReminder(message, scheduledFor) {
+export async function createReminder(message, scheduledFor, fields = {}) {
   const { data, error } = await supabase
     .from('reminders')
     .insert({
       user_id: DEFAULT_USER_ID,
+      channel: 'call',
+      ...fields,
       message,
       scheduled_for: scheduledFor,
       status: 'pending',
@@ -223,15 +544,21 @@ export async function createReminder(message, scheduledFor) {
 }
 
 /**
- * List all pending reminders ordered by scheduled_for
+ * List all reminders that have not finished (pending, being delivered or awaiting an
+ * acknowledgement) ordered by scheduled_for
+ * @param {object} [filters] - { channel, recipient }
  * @returns {Promise<Array>} Pending reminders
  */
-export async function listPendingReminders() {
-  const { data, error } = await supabase
+export async function listPendingReminders({ channel, recipient } = {}) {
+  let query = supabase
     .from('reminders')
     .select('*')
-    .eq('status', 'pending')
+    .in('status', ACTIVE_STATUSES)
     .order('scheduled_for', { ascending: true });
+  if (channel) query = query.eq('channel', channel);
+  if (recipient) query = query.eq('recipient', recipient);
+
+  const { data, error } = await query;
 
   if (error) {
     logger.error({ error }, 'Failed to list pending reminders');
@@ -242,16 +569,17 @@ export async function listPendingReminders() {
 }
 
 /**
- * Cancel a reminder by ID
+ * Cancel a reminder by ID: one waiting to fire, mid-delivery or escalating (a delivery in
+ * progress finishes, but the reminder stays cancelled)
  * @param {string} id - Reminder ID
  * @returns {Promise<object|null>} Updated reminder or null
  */
 export async function cancelReminder(id) {
   const { data, error } = await supabase
     .from('reminders')
-    .update({ status: 'cancelled' })
+    .update({ status: 'cancelled', next_escalation_at: null })
     .eq('id', id)
-    .eq('status', 'pending')
+    .in('status', ACTIVE_STATUSES)
     .select()
     .single();
 
@@ -0,0 +1,420 @@
+import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../utils/logger.js';
+import { getMessage, rejectMessage } from './supabase.js';
+import { deliverMessage } from './deliveryRetry.js';
+import { syncOutboundSms } from './mtlOutbox.js';
+import { sendMessage, updateMessage, buildApprovalKeyboard } from './telegram.js';
+import { applyPendingAction, clearPendingAction } from './pendingActions.js';
+import { getAutoSendPolicy } from './autoSendPolicy.js';
+
+const logger = createLogger('scheduled-send');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ASHLEY_TZ = 'America/Toronto';
+
+// No client SMS between these local hours unless explicitly overridden
+const QUIET_START_HOUR = parseInt(process.env.QUIET_HOURS_START || '21', 10);
+const QUIET_END_HOUR = parseInt(process.env.QUIET_HOURS_END || '9', 10);
+
+// "Send at" presets offered on the web page and in Telegram (local hour)
+const SEND_PRESETS = {
+  morning: { hour: 9, label: '9:00 AM' },
+  afternoon: { hour: 13, label: '1:00 PM' }
+};
+
+let intervalId = null;
+
+/**
+ * Start the scheduled send checker - runs every 60 seconds
+ * Returns the interval ID
+ */
+export function startScheduledSendChecker() {
+  if (intervalId) {
+    logger.warn('Scheduled send checker already running');
+    return intervalId;
+  }
+
+  logger.info('Starting scheduled send checker (60s interval)');
+
+  checkDueScheduledSends().catch(err =>
+    logger.error({ err }, 'Initial scheduled send check failed')
+  );
+
+  intervalId = setInterval(() => {
+    checkDueScheduledSends().catch(err =>
+      logger.error({ err }, 'Scheduled send check failed')
+    );
+  }, 60_000);
+
+  return intervalId;
+}
+
+/**
+ * Whether a time falls in quiet hours (Ashley's timezone)
+ */
+export function isQuietHours(date = new Date()) {
+  const { hour } = getLocalParts(date);
+  return QUIET_START_HOUR > QUIET_END_HOUR
+    ? hour >= QUIET_START_HOUR || hour < QUIET_END_HOUR
+    : hour >= QUIET_START_HOUR && hour < QUIET_END_HOUR;
+}
+
+/**
+ * The given time, or the end of quiet hours if it falls inside them
+ */
+export function nextSendWindow(date = new Date()) {
+  if (!isQuietHours(date)) return date;
+
+  const { dateStr, hour } = getLocalParts(date);
+  const day = QUIET_START_HOUR > QUIET_END_HOUR && hour >= QUIET_START_HOUR
+    ? addDays(dateStr, 1)
+    : dateStr;
+  return torontoTimeToDate(day, QUIET_END_HOUR, 0);
+}
+
+/**
+ * Quiet hours as a display string, e.g. "9 PM–9 AM"
+ */
+export function describeQuietHours() {
+  return `${formatHour(QUIET_START_HOUR)}–${formatHour(QUIET_END_HOUR)}`;
+}
+
+/**
+ * "Send at" presets resolved against now: [{ key, label, at }]
+ * Each preset is its next occurrence (today if still ahead, otherwise tomorrow).
+ */
+export function getSendPresets(now = new Date()) {
+  const { dateStr } = getLocalParts(now);
+
+  return Object.entries(SEND_PRESETS).map(([key, preset]) => {
+    let at = torontoTimeToDate(dateStr, preset.hour, 0);
+    let day = 'Today';
+    if (at <= now) {
+      at = torontoTimeToDate(addDays(dateStr, 1), preset.hour, 0);
+      day = 'Tomorrow';
+    }
+    return { key, label: `${day} ${preset.label}`, at };
+  });
+}
+
+/**
+ * Resolve a "send at" choice: 'now', a preset key, or 'custom' with a
+ * datetime-local value ("YYYY-MM-DDTHH:MM", Ashley's timezone).
+ * Returns { sendAt } (null for now) or { error }.
+ */
+export function resolveSendAt(choice, customValue, now = new Date()) {
+  if (!choice || choice === 'now') return { sendAt: null };
+
+  if (choice === 'custom') {
+    const match = typeof customValue === 'string' && customValue.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/);
+    if (!match) return { error: 'Pick a date and time for the custom send.' };
+
+    const sendAt = torontoTimeToDate(match[1], parseInt(match[2], 10), parseInt(match[3], 10));
+    if (sendAt <= now) return { error: 'The custom send time is in the past.' };
+    return { sendAt };
+  }
+
+  const preset = getSendPresets(now).find(p => p.key === choice);
+  if (!preset) return { error: 'Unknown send time.' };
+  return { sendAt: preset.at };
+}
+
+/**
+ * Format a send time for display, e.g. "Tue, Oct 20, 9:00 AM"
+ */
+export function formatSendTime(date) {
+  return new Date(date).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: ASHLEY_TZ
+  });
+}
+
+/**
+ * Move an approved message to 'scheduled' for delivery at sendAt
+ */
+export async function scheduleMessage(messageId, sendAt) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .update({ status: 'scheduled', scheduled_for: sendAt.toISOString() })
+    .eq('id', messageId)
+    .eq('status', 'approved')
+    .select()
+    .single();
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to schedule message');
+    throw error;
+  }
+
+  logger.info({ messageId, scheduledFor: data.scheduled_for }, 'Message scheduled');
+  return data;
+}
+
+/**
+ * Cancel a scheduled send and return the message to pending approval.
+ * The approved text is kept in body, so re-approving sends it unchanged.
+ * Returns the updated row, or null if it was no longer scheduled.
+ */
+export async function cancelScheduledSend(messageId) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .update({ status: 'pending_approval', scheduled_for: null, approved_at: null })
+    .eq('id', messageId)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to cancel scheduled send');
+    return null;
+  }
+
+  if (data) {
+    logger.info({ messageId }, 'Scheduled send cancelled');
+  }
+
+  // A cancelled auto-send is an ordinary draft again
+  if (data?.metadata?.auto_send?.queued) {
+    data.metadata = { ...data.metadata, auto_send: { ...data.metadata.auto_send, queued: false } };
+    await supabase.from('sms_messages').update({ metadata: data.metadata }).eq('id', messageId);
+  }
+  return data;
+}
+
+/**
+ * Deliver a scheduled message immediately (ignores quiet hours).
+ * Returns the delivery result, or null if it was no longer scheduled.
+ */
+export async function sendScheduledNow(messageId) {
+  const dbMessage = await getMessage(messageId);
+  if (!dbMessage || dbMessage.status !== 'scheduled') return null;
+
+  if (!await claimScheduled(dbMessage)) return null;
+  return deliverScheduled(dbMessage);
+}
+
+/**
+ * Deliver any scheduled messages that are due
+ */
+export async function checkDueScheduledSends() {
+  const { data: due, error } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(*)')
+    .eq('status', 'scheduled')
+    .lte('scheduled_for', new Date().toISOString())
+    .order('scheduled_for', { ascending: true })
+    .limit(20);
+
+  if (error) {
+    logger.error({ error }, 'Failed to query scheduled sends');
+    return;
+  }
+
+  let policy = null;
+  for (const dbMessage of due || []) {
+    if (!await claimScheduled(dbMessage)) {
+      logger.info({ messageId: dbMessage.id }, 'Scheduled send already claimed, skipping');
+      continue;
+    }
+
+    try {
+      // The kill switch also stops drafts already queued for auto-send
+      if (dbMessage.metadata?.auto_send?.queued) {
+        policy ||= await getAutoSendPolicy();
+        if (!policy.enabled) {
+          await holdAutoSend(dbMessage);
+          continue;
+        }
+      }
+      await deliverScheduled(dbMessage);
+    } catch (err) {
+      logger.error({ err, messageId: dbMessage.id }, 'Scheduled send failed');
+    }
+  }
+}
+
+// Optimistic lock: only claim if still scheduled
+async function claimScheduled(dbMessage) {
+  const { data: claimed } = await supabase
+    .from('sms_messages')
+    .update({ status: 'approved' })
+    .eq('id', dbMessage.id)
+    .eq('status', 'scheduled')
+    .select('id')
+    .maybeSingle();
+
+  return Boolean(claimed);
+}
+
+async function deliverScheduled(dbMessage) {
+  const conversation = dbMessage.sms_conversations || {};
+  const [approvalTelegramId] = dbMessage.telegram_message_ids || [];
+
+  // The client replied STOP after this was scheduled: drop it, and its menu change unapplied
+  if (conversation.opted_out) {
+    await rejectMessage(dbMessage.id);
+    await clearPendingAction(dbMessage.id);
+    const text = `Scheduled message to ${escapeHtml(conversation.phone_number)} not sent: they opted out of SMS.`;
+    if (approvalTelegramId) {
+      await updateMessage(approvalTelegramId, text);
+    } else {
+      await sendMessage(text);
+    }
+    logger.warn({ messageId: dbMessage.id }, 'Scheduled send dropped, recipient opted out');
+    return { success: false, error: 'Recipient has opted out', optedOut: true };
+  }
+
+  // The menu change behind this message goes to the MTL app only now. If it fails or
+  // expired, the message goes back to Ashley rather than confirming a change that didn't happen.
+  const actionResult = await applyPendingAction(dbMessage.id);
+  if (actionResult.status === 'failed' || actionResult.status === 'expired') {
+    await returnToApproval(dbMessage.id);
+    const reason = actionResult.status === 'expired' ? `${actionResult.error}.` : `Failed to apply action: ${actionResult.error}`;
+    const text = `Scheduled message to ${escapeHtml(conversation.phone_number)} not sent. ${escapeHtml(reason)}`;
+    if (approvalTelegramId) {
+      await updateMessage(approvalTelegramId, text, buildApprovalKeyboard(dbMessage.id));
+    } else {
+      await sendMessage(text, buildApprovalKeyboard(dbMessage.id));
+    }
+    logger.warn({ messageId: dbMessage.id, error: actionResult.error }, 'Scheduled send held back, action failed');
+    return { success: false, actionFailed: true, error: actionResult.error };
+  }
+  const actionNote = actionResult.status === 'applied' ? `\n\n✅ ${escapeHtml(actionResult.summary)}` : '';
+
+  const result = await deliverMessage(dbMessage, dbMessage.body);
+
+  await syncOutboundSms({
+    to: conversation.phone_number,
+    body: dbMessage.body,
+    status: result.success ? 'sent' : 'failed',
+    providerMessageId: result.sid,
+    error: result.success ? undefined : result.error,
+    sourceMessageId: dbMessage.id,
+  });
+
+  // Drafts queued by the auto-send policy are labelled as such
+  const label = dbMessage.metadata?.auto_send?.queued ? '🤖 Auto-sent' : 'Sent scheduled';
+
+  let text;
+  if (result.success) {
+    text = `${label} message to ${escapeHtml(conversation.phone_number)}:\n"${escapeHtml(dbMessage.body)}"${actionNote}`;
+    logger.info({ messageId: dbMessage.id, to: conversation.phone_number }, 'Scheduled SMS sent');
+  } else {
+    const retryNote = result.nextRetryAt ? '\nRetrying automatically.' : '';
+    text = `Failed to send scheduled message to ${escapeHtml(conversation.phone_number)}: ${escapeHtml(result.error)}${retryNote}`;
+    logger.error({ messageId: dbMessage.id, error: result.error }, 'Scheduled SMS send failed');
+  }
+
+  if (approvalTelegramId) {
+    await updateMessage(approvalTelegramId, text);
+  } else {
+    await sendMessage(text);
+  }
+
+  return result;
+}
+
+// A claimed send whose action failed goes back to pending approval, text unchanged
+// Auto-send was turned off while this draft waited: back to Ashley as an ordinary draft
+async function holdAutoSend(dbMessage) {
+  const conversation = dbMessage.sms_conversations || {};
+  const [approvalTelegramId] = dbMessage.telegram_message_ids || [];
+  const metadata = { ...dbMessage.metadata, auto_send: { ...dbMessage.metadata.auto_send, queued: false } };
+
+  const { error } = await supabase
+    .from('sms_messages')
+    .update({ status: 'pending_approval', scheduled_for: null, approved_at: null, metadata })
+    .eq('id', dbMessage.id)
+    .eq('status', 'approved');
+
+  if (error) {
+    logger.error({ error, messageId: dbMessage.id }, 'Failed to return auto-send to pending approval');
+    return;
+  }
+
+  const text = `🤖 Auto-send is off. Not sent to ${escapeHtml(conversation.phone_number)}, back to pending:\n"${escapeHtml(dbMessage.body)}"`;
+  if (approvalTelegramId) {
+    await updateMessage(approvalTelegramId, text, buildApprovalKeyboard(dbMessage.id));
+  } else {
+    await sendMessage(text, buildApprovalKeyboard(dbMessage.id));
+  }
+  logger.info({ messageId: dbMessage.id }, 'Auto-send disabled, queued draft returned to approval');
+}
+
+async function returnToApproval(messageId) {
+  const { error } = await supabase
+    .from('sms_messages')
+    .update({ status: 'pending_approval', scheduled_for: null, approved_at: null })
+    .eq('id', messageId)
+    .eq('status', 'approved');
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to return message to pending approval');
+  }
+}
+
+/**
+ * Local date/time parts in Ashley's timezone: { dateStr, hour, minute, second }
+ */
+export function getLocalParts(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: ASHLEY_TZ,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  return {
+    dateStr: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10)
+  };
+}
+
+// Offset of Ashley's timezone from UTC at a given instant, in ms
+function getOffsetMs(date) {
+  const { dateStr, hour, minute, second } = getLocalParts(date);
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return Date.UTC(y, m - 1, d, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local date and time in Ashley's timezone to a Date.
+ * Uses the offset in effect at that time (not now), so it is DST-correct.
+ */
+export function torontoTimeToDate(dateStr, hour, minute) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, hour, minute);
+  const offset = getOffsetMs(new Date(asUtc));
+  const result = asUtc - offset;
+  const actualOffset = getOffsetMs(new Date(result));
+  return new Date(actualOffset === offset ? result : asUtc - actualOffset);
+}
+
+/**
+ * Add days to a date string "YYYY-MM-DD", return new date string.
+ */
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T12:00:00Z'); // noon to avoid DST edge
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function formatHour(hour) {
+  const suffix = hour >= 12 ? 'PM' : 'AM';
+  return `${hour % 12 || 12} ${suffix}`;
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
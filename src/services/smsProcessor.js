@@ -1,13 +1,23 @@
 import { createLogger } from '../utils/logger.js';
 import { sanitizePhoneNumber, extractClientName } from '../utils/validation.js';
-import { getOrCreateConversation, storeIncomingMessage, storeDraftReply, getConversationHistory, checkMessageExists, approveMessage } from './supabase.js';
+import { getOrCreateConversation, storeIncomingMessage, updateMessageMedia, storeDraftReply, getConversationHistory, checkMessageExists, approveMessage, addTelegramMessageId } from './supabase.js';
 import { searchClientContext, getBusinessContext } from './mem0.js';
 import { getCalendarContext } from './calendar.js';
-import { generateDraftReply } from './claude.js';
-import { sendApprovalRequest } from './telegram.js';
-import { evaluateMenuChange, sendInboundSms } from './mtlApi.js';
-import { setPendingAction } from './pendingActions.js';
+import { generateDraftReply, classifyInquiryType } from './claude.js';
+import { sendApprovalRequest, sendMediaPreviews, sendMessage } from './telegram.js';
+import { evaluateMenuChange } from './mtlApi.js';
+import { syncInboundSms } from './mtlOutbox.js';
+import { storeMenuEvaluation, findOpenAmbiguity, markAmbiguityResolved } from './pendingActions.js';
+import { buildMenuOperations, summarizeOperations, matchCandidate, candidateIdentifier, describeCandidate } from './menuChanges.js';
 import { getRelevantCorrections } from './corrections.js';
+import { detectComplianceKeyword, handleComplianceKeyword } from './optOut.js';
+import { ingestMedia } from './mediaStorage.js';
+import { evaluateAutoSend, queueAutoSend } from './autoSendPolicy.js';
+import { updateLeadProfile } from './leadProfile.js';
+import { resolveConversationLanguage } from './language.js';
+import { HISTORY_FETCH_LIMIT } from './conversationSummary.js';
+import { resetFollowUps } from './followUps.js';
+import { formatSendTime } from './scheduledSend.js';
 
 const logger = createLogger('sms-processor');
 
@@ -27,60 +37,88 @@ export async function processIncomingMessage(message, options = {}) {
       }
     }
 
-    await storeIncomingMessage(
+    const inboundMessage = await storeIncomingMessage(
       conversation.id,
       message.messageSid,
       message.body,
       message.mediaUrls
     );
 
-    try {
-      const inboundResult = await sendInboundSms({
-        from: message.from,
-        to: message.to,
-        body: message.body,
-        provider: 'twilio',
-        providerMessageId: message.messageSid,
-        direction: 'inbound',
-        status: 'received',
-        receivedAt: new Date().toISOString(),
-        data: {
-          numMedia: message.numMedia,
-          mediaUrls: message.mediaUrls,
-        },
-      });
+    // Queued in the MTL outbox; the dispatcher retries until the MTL app has it
+    await syncInboundSms(message, inboundMessage.id);
+
+    // Any reply ends the current follow-up sequence
+    if (conversation.next_follow_up_at || conversation.follow_up_count) {
+      await resetFollowUps(conversation.id);
+    }
 
-      if (!inboundResult.ok) {
-        logger.warn({ error: inboundResult.error }, 'MTL inbound SMS sync failed');
+    // Carrier keywords (STOP/ARRET, START, HELP) are answered automatically -- never drafted
+    const complianceKeyword = detectComplianceKeyword(message.body);
+    if (complianceKeyword) {
+      if (options.sendApproval !== false) {
+        await handleComplianceKeyword(conversation, complianceKeyword, message.body);
       }
-    } catch (error) {
-      logger.warn({ error }, 'MTL inbound SMS sync errored');
+      return { success: true, compliance: complianceKeyword };
+    }
+
+    if (conversation.opted_out) {
+      logger.info({ conversationId: conversation.id }, 'Message from opted-out number, no draft generated');
+      await sendMessage(`📵 SMS from opted-out number ${conversation.phone_number}${conversation.client_name ? ` (${escapeHtml(conversation.client_name)})` : ''}:\n"${escapeHtml(message.body)}"\n\nNo reply drafted. They must text START before we can reply.`);
+      return { success: true, optedOut: true };
+    }
+
+    // Twilio media URLs need auth and expire -- keep our own copy and describe images
+    let media = null;
+    if (message.mediaUrls?.length > 0) {
+      media = await ingestMedia(message.mediaUrls, conversation.id, message.messageSid);
+      await updateMessageMedia(inboundMessage.id, media);
     }
+    const mediaDescriptions = (media || [])
+      .map(m => m.description)
+      .filter(Boolean);
 
     const [
       clientContext,
       businessContext,
       calendarContext,
-      history
+      history,
+      leadProfile,
+      language
     ] = await Promise.all([
       searchClientContext(message.body, phoneNumber),
       getBusinessContext(),
       getCalendarContext(message.body),
-      getConversationHistory(conversation.id)
+      getConversationHistory(conversation.id, HISTORY_FETCH_LIMIT),
+      updateLeadProfile(conversation, message.body),
+      resolveConversationLanguage(conversation, message.body)
     ]);
 
+    // A reply naming one of the events from an earlier "which event?" re-runs that menu change
+    const ambiguity = await findOpenAmbiguity(conversation.id);
+    const candidateIndex = ambiguity ? matchCandidate(ambiguity.payload.candidates, message.body) : -1;
+    const pickedEvent = candidateIndex >= 0 ? ambiguity.payload.candidates[candidateIndex] : null;
+    const menuRequest = pickedEvent ? ambiguity.payload.message : message.body;
+
     const actionResult = await evaluateMenuChange({
       phone: phoneNumber,
-      message: message.body,
+      message: menuRequest,
+      eventIdentifier: pickedEvent ? candidateIdentifier(pickedEvent) : undefined,
     });
 
-    const actionContext = buildActionContext(actionResult);
+    if (pickedEvent) {
+      await markAmbiguityResolved(ambiguity.message_id, pickedEvent);
+      logger.info({ conversationId: conversation.id, event: describeCandidate(pickedEvent) }, 'Ambiguous menu change resolved by client reply');
+    }
+
+    const actionContext = buildActionContext(actionResult, pickedEvent);
 
     const correctionRules = await getRelevantCorrections(message.body).catch(err => {
       logger.warn({ err }, 'Failed to get correction rules');
       return [];
     });
 
+    const inquiryType = await classifyInquiryType(message.body);
+
     const draftReply = await generateDraftReply({
       incomingMessage: message.body,
       clientName: conversation.client_name || clientName,
@@ -88,34 +126,60 @@ export async function processIncomingMessage(message, options = {}) {
       conversationHistory: history,
       calendarContext,
       actionContext,
-      correctionRules
+      correctionRules,
+      mediaDescriptions,
+      leadProfile,
+      language,
+      conversationSummary: conversation.summary,
+      inquiryType
+    });
+
+    const shouldSendApproval = options.sendApproval !== false && canSendApproval();
+
+    // Routine drafts may go out on their own after a hold window (see autoSendPolicy)
+    const autoSend = await evaluateAutoSend({
+      inquiryType,
+      // generateDraftReply fills a template for the first message of a conversation
+      templateUsed: !history || history.length <= 1,
+      correctionRuleCount: correctionRules.length,
+      incomingMessage: message.body,
+      draftReply,
+      hasPendingAction: ['ready', 'ambiguous'].includes(actionResult.data?.status),
+      hasMedia: Boolean(media?.length),
     });
 
-    const draftMessage = await storeDraftReply(conversation.id, draftReply);
+    const draftMetadata = {
+      auto_send: { score: autoSend.score, reasons: autoSend.reasons, blockers: autoSend.blockers },
+      language,
+    };
+    const draftMessage = await storeDraftReply(conversation.id, draftReply, draftMetadata);
 
-    if (actionResult.ok && actionResult.data?.status === 'ready' && actionResult.data?.action) {
-      const actionType = actionResult.data.action;
-      const oldDisplay = actionResult.data.oldCocktailDisplay || actionResult.data.oldCocktail;
-      const newDisplay = actionResult.data.newCocktailDisplay || actionResult.data.newCocktail;
-      const payload = {
-        action: actionType,
+    const menuOperations = actionResult.ok && actionResult.data?.status === 'ready'
+      ? buildMenuOperations(actionResult.data)
+      : [];
+    const actionSummary = menuOperations.length > 0
+      ? summarizeOperations(menuOperations)
+      : actionResult.data?.summary || actionResult.data?.message;
+
+    if (actionResult.ok) {
+      await storeMenuEvaluation(draftMessage.id, {
+        conversationId: conversation.id,
         phone: phoneNumber,
-        eventId: actionResult.data.eventId,
-        oldCocktail: oldDisplay,
-        newCocktail: newDisplay,
-        addCocktail: newDisplay,
-        removeCocktail: oldDisplay,
-      };
-
-      setPendingAction(draftMessage.id, {
-        type: actionType,
-        payload,
-        summary: actionResult.data.summary || 'Menu update',
+        message: menuRequest,
+        data: actionResult.data,
+        pickedEvent,
       });
     }
 
-    const shouldSendApproval = options.sendApproval !== false && canSendApproval();
     let approvalSent = false;
+    let autoSendAt = null;
+    if (shouldSendApproval && autoSend.autoSend) {
+      autoSendAt = await queueAutoSend(draftMessage.id, draftReply, autoSend.holdMinutes, draftMetadata).catch(err => {
+        logger.error({ err, draftId: draftMessage.id }, 'Failed to queue auto-send, falling back to approval');
+        return null;
+      });
+    }
+
     if (shouldSendApproval) {
       const telegramResult = await sendApprovalRequest({
         messageId: draftMessage.id,
@@ -124,13 +188,19 @@ export async function processIncomingMessage(message, options = {}) {
         incomingBody: message.body,
         calendarContext,
         draftReply,
-        actionSummary: actionResult.data?.summary || actionResult.data?.message,
+        actionSummary,
         actionStatus: actionResult.data?.status,
+        mediaDescriptions,
+        autoSend: autoSendAt ? { at: formatSendTime(autoSendAt), score: autoSend.score } : null,
       });
 
       if (telegramResult) {
         approvalSent = true;
-      } else {
+        await addTelegramMessageId(draftMessage.id, telegramResult);
+        if (media) {
+          await sendMediaPreviews(media, telegramResult);
+        }
+      } else if (!autoSendAt) {
         // Telegram notification failed -- auto-approve so the message isn't stuck in pending_approval
         logger.warn({ draftId: draftMessage.id }, 'Telegram notification failed, auto-approving draft');
         await approveMessage(draftMessage.id, draftReply);
@@ -140,7 +210,8 @@ export async function processIncomingMessage(message, options = {}) {
     logger.info({
       conversationId: conversation.id,
       draftId: draftMessage.id,
-      approvalSent
+      approvalSent,
+      autoSendAt
     }, 'SMS processed');
 
     return {
@@ -148,9 +219,12 @@ export async function processIncomingMessage(message, options = {}) {
       draftId: draftMessage.id,
       draftReply,
       approvalSent,
+      autoSend,
+      autoSendAt,
       action: actionResult.data?.action,
       actionStatus: actionResult.data?.status,
-      actionSummary: actionResult.data?.summary,
+      actionSummary,
+      menuOperations,
       actionMessage: actionResult.data?.message,
     };
   } catch (error) {
@@ -159,19 +233,26 @@ export async function processIncomingMessage(message, options = {}) {
   }
 }
 
-function buildActionContext(actionResult) {
+function buildActionContext(actionResult, pickedEvent = null) {
   if (!actionResult?.ok || !actionResult.data) return '';
 
   const { status, action, summary, message, options } = actionResult.data;
+  const eventNote = pickedEvent
+    ? `The client just told us which event they meant: ${describeCandidate(pickedEvent)}. `
+    : '';
 
-  if (status === 'ready' && action) {
-    return `Action available: ${summary}. If approved, confirm the change in your reply.`;
+  const operations = status === 'ready' ? buildMenuOperations(actionResult.data) : [];
+  if (operations.length > 1) {
+    const list = operations.map(op => `- ${op.summary}`).join('\n');
+    return `${eventNote}Menu changes available (applied together if approved):\n${list}\nIf approved, confirm each change in your reply.`;
+  }
+
+  if (status === 'ready' && (action || operations.length === 1)) {
+    return `${eventNote}Action available: ${summary || operations[0]?.summary}. If approved, confirm the change in your reply.`;
   }
 
   if (status === 'ambiguous' && Array.isArray(options) && options.length > 0) {
-    const optionList = options
-      .map((opt) => `${opt.clientName}${opt.eventDate ? ` (${opt.eventDate})` : ''}`)
-      .join(', ');
+    const optionList = options.map(describeCandidate).join(', ');
     return `Need clarification: multiple events match. Ask which one: ${optionList}.`;
   }
 
@@ -193,3 +274,11 @@ function buildActionContext(actionResult) {
 function canSendApproval() {
   return Boolean(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID);
 }
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -10,6 +10,17 @@ const supabase = createClient(
 
 const DEFAULT_USER_ID = process.env.USER_ID || '3ed111ff-c28f-4cda-b987-1afa4f7eb081';
 
+// Twilio callbacks can arrive out of order; never let an earlier state overwrite a later one
+const DELIVERY_STATUS_RANK = {
+  accepted: 0,
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3
+};
+
 /**
  * Get or create conversation for a phone number
  */
@@ -112,10 +123,40 @@ export async function storeIncomingMessage(conversationId, twilioSid, body, medi
   return data;
 }
 
+/**
+ * Replace a message's media entries (e.g. after downloading to our storage)
+ */
+export async function updateMessageMedia(messageId, mediaUrls) {
+  const { error } = await supabase
+    .from('sms_messages')
+    .update({ media_urls: mediaUrls })
+    .eq('id', messageId);
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to update message media');
+  }
+}
+
+/**
+ * Save edits to a pending draft without approving it (body is what gets sent on approve)
+ */
+export async function saveWorkingDraft(messageId, body) {
+  const { error } = await supabase
+    .from('sms_messages')
+    .update({ body })
+    .eq('id', messageId)
+    .eq('status', 'pending_approval');
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to save working draft');
+    throw error;
+  }
+}
+
 /**
  * Store a draft reply pending approval
  */
-export async function storeDraftReply(conversationId, draftBody) {
+export async function storeDraftReply(conversationId, draftBody, metadata = undefined) {
   const { data, error } = await supabase
     .from('sms_messages')
     .insert({
@@ -123,7 +164,8 @@ export async function storeDraftReply(conversationId, draftBody) {
       direction: 'outbound',
       body: '',
       draft_body: draftBody,
-      status: 'pending_approval'
+      status: 'pending_approval',
+      ...(metadata && { metadata })
     })
     .select()
     .single();
@@ -142,11 +184,12 @@ export async function storeDraftReply(conversationId, draftBody) {
 export async function approveMessage(messageId, finalBody = null) {
   const { data: existing } = await supabase
     .from('sms_messages')
-    .select('draft_body')
+    .select('body, draft_body')
     .eq('id', messageId)
     .single();
 
-  const body = finalBody || existing?.draft_body || '';
+  // body is only set on a pending row when a scheduled send was cancelled
+  const body = finalBody || existing?.body || existing?.draft_body || '';
 
   const { data, error } = await supabase
     .from('sms_messages')
@@ -168,15 +211,18 @@ export async function approveMessage(messageId, finalBody = null) {
 }
 
 /**
- * Mark message as sent
+ * Mark message as sent (extra columns are written in the same update)
  */
-export async function markMessageSent(messageId, twilioSid) {
+export async function markMessageSent(messageId, twilioSid, extra = {}) {
   const { error } = await supabase
     .from('sms_messages')
     .update({
+      ...extra,
       twilio_sid: twilioSid,
       status: 'sent',
-      sent_at: new Date().toISOString()
+      sent_at: new Date().toISOString(),
+      delivery_status: 'queued',
+      delivery_error_code: null
     })
     .eq('id', messageId);
 
@@ -185,6 +231,112 @@ export async function markMessageSent(messageId, twilioSid) {
   }
 }
 
+/**
+ * Record a Twilio delivery status callback on the matching outbound message.
+ * Appends to delivery_status_history and returns the updated row (with conversation),
+ * or null if no message matches the SID.
+ */
+export async function recordDeliveryStatus(twilioSid, status, errorCode = null) {
+  let { data: existing, error: findError } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(*)')
+    .eq('twilio_sid', twilioSid)
+    .maybeSingle();
+
+  // Earlier parts of a split send are only recorded in delivery_attempts[].part_sids
+  if (!existing && !findError) {
+    ({ data: existing, error: findError } = await supabase
+      .from('sms_messages')
+      .select('*, sms_conversations(*)')
+      .filter('delivery_attempts', 'cs', JSON.stringify([{ part_sids: [twilioSid] }]))
+      .limit(1)
+      .maybeSingle());
+  }
+
+  if (findError) {
+    logger.error({ error: findError, twilioSid }, 'Failed to look up message for delivery status');
+    return null;
+  }
+
+  if (!existing) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const history = [
+    ...(existing.delivery_status_history || []),
+    { status, error_code: errorCode || null, sid: twilioSid, at: now }
+  ];
+
+  const update = {
+    delivery_status_history: history,
+    delivery_updated_at: now
+  };
+
+  const currentRank = DELIVERY_STATUS_RANK[existing.delivery_status] ?? -1;
+  const newRank = DELIVERY_STATUS_RANK[status] ?? -1;
+  if (newRank >= currentRank) {
+    update.delivery_status = status;
+    update.delivery_error_code = errorCode || null;
+  }
+
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .update(update)
+    .eq('id', existing.id)
+    .select('*, sms_conversations(*)')
+    .single();
+
+  if (error) {
+    logger.error({ error, messageId: existing.id }, 'Failed to record delivery status');
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Set or clear the carrier opt-out flag on a conversation
+ */
+export async function setOptOut(conversationId, optedOut, keyword = null) {
+  const { error } = await supabase
+    .from('sms_conversations')
+    .update({
+      opted_out: optedOut,
+      opted_out_at: optedOut ? new Date().toISOString() : null,
+      opt_out_keyword: optedOut ? keyword : null
+    })
+    .eq('id', conversationId);
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to update opt-out flag');
+    throw error;
+  }
+
+  logger.info({ conversationId, optedOut }, 'Opt-out flag updated');
+}
+
+/**
+ * Store an automatic (non-approved) outbound reply, e.g. HELP/START responses
+ */
+export async function storeAutoResponse(conversationId, body, twilioSid, reason) {
+  const { error } = await supabase
+    .from('sms_messages')
+    .insert({
+      conversation_id: conversationId,
+      twilio_sid: twilioSid,
+      direction: 'outbound',
+      body,
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      metadata: { auto_response: reason }
+    });
+
+  if (error) {
+    logger.error({ error, conversationId }, 'Failed to store auto-response');
+  }
+}
+
 /**
  * Mark message as rejected
  */
@@ -219,6 +371,25 @@ export async function getConversationHistory(conversationId, limit = 10) {
   return data.reverse();
 }
 
+/**
+ * Get the full thread for a conversation (every status, oldest first)
+ */
+export async function getConversationThread(conversationId, limit = 200) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    logger.error({ error }, 'Failed to get conversation thread');
+    return [];
+  }
+
+  return data.reverse();
+}
+
 /**
  * Get conversation by ID
  */
@@ -237,6 +408,24 @@ export async function getConversation(conversationId) {
   return data;
 }
 
+/**
+ * Find a conversation by phone number without touching its counters
+ */
+export async function findConversationByPhone(phoneNumber) {
+  const { data, error } = await supabase
+    .from('sms_conversations')
+    .select('*')
+    .eq('phone_number', phoneNumber)
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error }, 'Failed to find conversation by phone');
+    return null;
+  }
+
+  return data;
+}
+
 /**
  * Get message by ID
  */
@@ -255,6 +444,94 @@ export async function getMessage(messageId) {
   return data;
 }
 
+/**
+ * List all drafts awaiting approval (oldest first), with conversation
+ */
+export async function listPendingDrafts(limit = 100) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(*)')
+    .eq('status', 'pending_approval')
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logger.error({ error }, 'Failed to list pending drafts');
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Latest inbound message per conversation, keyed by conversation ID
+ */
+export async function getLatestInboundByConversation(conversationIds) {
+  if (!conversationIds || conversationIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('conversation_id, body, created_at')
+    .in('conversation_id', conversationIds)
+    .eq('direction', 'inbound')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error({ error }, 'Failed to get latest inbound messages');
+    return {};
+  }
+
+  const latest = {};
+  for (const row of data || []) {
+    if (!latest[row.conversation_id]) {
+      latest[row.conversation_id] = row;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Link a Telegram message (approval request or edit prompt) to a draft
+ */
+export async function addTelegramMessageId(messageId, telegramMessageId) {
+  const { data: existing } = await supabase
+    .from('sms_messages')
+    .select('telegram_message_ids')
+    .eq('id', messageId)
+    .single();
+
+  const ids = [...(existing?.telegram_message_ids || []), telegramMessageId];
+
+  const { error } = await supabase
+    .from('sms_messages')
+    .update({ telegram_message_ids: ids })
+    .eq('id', messageId);
+
+  if (error) {
+    logger.error({ error, messageId }, 'Failed to link Telegram message');
+  }
+}
+
+/**
+ * Find the draft a Telegram message belongs to (with conversation)
+ */
+export async function findMessageByTelegramId(telegramMessageId) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('*, sms_conversations(*)')
+    .contains('telegram_message_ids', [telegramMessageId])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error({ error, telegramMessageId }, 'Failed to find message by Telegram ID');
+    return null;
+  }
+
+  return data;
+}
+
 /**
  * Search messages for read-only access
  */
@@ -1,11 +1,12 @@
 import { createLogger } from '../utils/logger.js';
+import { getMediaUrl } from './mediaStorage.js';
+import { createApprovalLink } from './approvalLinks.js';
 
 const logger = createLogger('telegram');
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 const BASE_URL = `https://api.telegram.org/bot${BOT_TOKEN}`;
-const APP_BASE_URL = process.env.APP_BASE_URL || 'https://twilio-sms-production-b6b8.up.railway.app';
 
 /**
  * Send approval request to Telegram with inline buttons
@@ -19,27 +20,31 @@ export async function sendApprovalRequest(params) {
     calendarContext,
     draftReply,
     actionSummary,
-    actionStatus
+    actionStatus,
+    mediaDescriptions,
+    autoSend
   } = params;
 
   // Format the approval message
   const displayName = clientName || 'Unknown';
-  const text = formatApprovalMessage({
+  let text = formatApprovalMessage({
     displayName,
     phoneNumber,
     incomingBody,
     calendarContext,
     draftReply,
     actionSummary,
-    actionStatus
+    actionStatus,
+    mediaDescriptions
   });
 
-  // Create inline keyboard with URL button to web approval page
-  const keyboard = {
-    inline_keyboard: [[
-      { text: 'Review & Approve', url: `${APP_BASE_URL}/approval/${messageId}` }
-    ]]
-  };
+  // Auto-sent drafts are already scheduled: label them and offer send now / cancel instead
+  if (autoSend) {
+    const confidence = autoSend.score != null ? ` (confidence ${Math.round(autoSend.score * 100)}%)` : '';
+    text = `🤖 <b>AUTO-SEND</b> at ${escapeHtml(autoSend.at)} unless cancelled${confidence}\n\n${text}`;
+  }
+
+  const keyboard = autoSend ? buildScheduledKeyboard(messageId) : buildApprovalKeyboard(messageId);
 
   try {
     const response = await fetch(`${BASE_URL}/sendMessage`, {
@@ -68,16 +73,65 @@ export async function sendApprovalRequest(params) {
   }
 }
 
+/**
+ * Inline approve/reject/edit/schedule buttons (handled by POST /approval) plus the web page
+ */
+export function buildApprovalKeyboard(messageId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: 'Approve', callback_data: `approve:${messageId}` },
+        { text: 'Reject', callback_data: `reject:${messageId}` }
+      ],
+      [
+        { text: '⏰ 9 AM', callback_data: `schedule:${messageId}:morning` },
+        { text: '⏰ 1 PM', callback_data: `schedule:${messageId}:afternoon` }
+      ],
+      [
+        { text: 'Edit', callback_data: `edit:${messageId}` },
+        { text: 'Open in browser', url: createApprovalLink(messageId) }
+      ]
+    ]
+  };
+}
+
+/**
+ * Buttons shown on an approval message once its send is scheduled
+ */
+export function buildScheduledKeyboard(messageId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: 'Send now', callback_data: `sendnow:${messageId}` },
+        { text: 'Cancel send', callback_data: `unschedule:${messageId}` }
+      ]
+    ]
+  };
+}
+
+/**
+ * "Got it" button on a reminder to Ashley; stops its escalation (handled by POST /approval)
+ */
+export function buildReminderAckKeyboard(reminderId) {
+  return {
+    inline_keyboard: [[{ text: '✅ Got it', callback_data: `ack:${reminderId}` }]]
+  };
+}
+
 /**
  * Format the approval message for Telegram
  */
 function formatApprovalMessage(params) {
-  const { displayName, phoneNumber, incomingBody, calendarContext, draftReply, actionSummary, actionStatus } = params;
+  const { displayName, phoneNumber, incomingBody, calendarContext, draftReply, actionSummary, actionStatus, mediaDescriptions } = params;
 
   let text = `<b>SMS from ${escapeHtml(displayName)}</b>\n`;
   text += `(${escapeHtml(phoneNumber)})\n\n`;
   text += `<blockquote>${escapeHtml(incomingBody)}</blockquote>\n\n`;
 
+  if (mediaDescriptions?.length > 0) {
+    text += `<b>Attachments:</b>\n${mediaDescriptions.map(d => `📎 ${escapeHtml(d)}`).join('\n')}\n\n`;
+  }
+
   if (actionSummary) {
     const statusLabel = actionStatus ? ` (${actionStatus})` : '';
     text += `<b>Action:</b> ${escapeHtml(actionSummary)}${escapeHtml(statusLabel)}\n\n`;
@@ -94,9 +148,68 @@ function formatApprovalMessage(params) {
 }
 
 /**
- * Update message after button press
+ * Send stored client media as replies to an approval message.
+ * Images go out as photos, everything else as documents.
  */
-export async function updateMessage(telegramMessageId, text) {
+export async function sendMediaPreviews(media, replyToMessageId) {
+  for (const item of media) {
+    const url = await getMediaUrl(item);
+    if (!url) continue;
+
+    const isImage = item.contentType?.startsWith('image/');
+    const method = isImage ? 'sendPhoto' : 'sendDocument';
+
+    try {
+      const response = await fetch(`${BASE_URL}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: CHAT_ID,
+          [isImage ? 'photo' : 'document']: url,
+          caption: item.description || undefined,
+          reply_to_message_id: replyToMessageId
+        })
+      });
+
+      const data = await response.json();
+      if (!data.ok) {
+        logger.warn({ error: data, storagePath: item.storagePath }, 'Telegram media preview rejected');
+      }
+    } catch (error) {
+      logger.error({ error }, 'Failed to send media preview');
+    }
+  }
+}
+
+/**
+ * Alert that an approved SMS was not delivered, with a link to retry it now.
+ * retryAt (display string) says when the automatic retry runs.
+ */
+export async function sendDeliveryFailureAlert(params) {
+  const { messageId, clientName, phoneNumber, body, status, errorCode, retryAt } = params;
+
+  const displayName = clientName || 'Unknown';
+  let text = `⚠️ <b>SMS to ${escapeHtml(displayName)} ${escapeHtml(status)}`;
+  text += retryAt ? `, retrying at ${escapeHtml(retryAt)}</b>\n` : '</b>\n';
+  text += `(${escapeHtml(phoneNumber)})\n\n`;
+  if (errorCode) {
+    text += `<b>Twilio error:</b> ${escapeHtml(String(errorCode))}\n\n`;
+  }
+  text += `<i>"${escapeHtml(body)}"</i>`;
+
+  const keyboard = {
+    inline_keyboard: [[
+      { text: 'Retry Send', url: createApprovalLink(messageId, '/retry') }
+    ]]
+  };
+
+  return sendMessage(text, keyboard);
+}
+
+/**
+ * Update message after button press (buttons are removed unless replyMarkup is given)
+ */
+export async function updateMessage(telegramMessageId, text, replyMarkup = undefined) {
   try {
     await fetch(`${BASE_URL}/editMessageText`, {
       method: 'POST',
@@ -105,7 +218,8 @@ export async function updateMessage(telegramMessageId, text) {
         chat_id: CHAT_ID,
         message_id: telegramMessageId,
         text,
-        parse_mode: 'HTML'
+        parse_mode: 'HTML',
+        reply_markup: replyMarkup
       })
     });
   } catch (error) {
@@ -113,6 +227,38 @@ export async function updateMessage(telegramMessageId, text) {
   }
 }
 
+/**
+ * Send a prompt that opens the reply box in Telegram (used for inline edits).
+ * Returns the prompt's message_id, or null on failure.
+ */
+export async function sendForceReply(text, replyToMessageId) {
+  try {
+    const response = await fetch(`${BASE_URL}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: CHAT_ID,
+        text,
+        parse_mode: 'HTML',
+        reply_to_message_id: replyToMessageId,
+        reply_markup: { force_reply: true, input_field_placeholder: 'Replacement text' }
+      })
+    });
+
+    const data = await response.json();
+
+    if (!data.ok) {
+      logger.error({ error: data }, 'Telegram API error');
+      return null;
+    }
+
+    return data.result.message_id;
+  } catch (error) {
+    logger.error({ error }, 'Failed to send force reply prompt');
+    return null;
+  }
+}
+
 /**
  * Answer callback query (dismisses loading state)
  */
@@ -132,21 +278,32 @@ export async function answerCallback(callbackQueryId, text = '') {
 }
 
 /**
- * Send a simple message
+ * Send a simple message. Returns its message_id, or null on failure.
  */
-export async function sendMessage(text) {
+export async function sendMessage(text, replyMarkup = undefined) {
   try {
-    await fetch(`${BASE_URL}/sendMessage`, {
+    const response = await fetch(`${BASE_URL}/sendMessage`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         chat_id: CHAT_ID,
         text,
-        parse_mode: 'HTML'
+        parse_mode: 'HTML',
+        reply_markup: replyMarkup
       })
     });
+
+    const data = await response.json();
+
+    if (!data.ok) {
+      logger.error({ error: data }, 'Telegram API error');
+      return null;
+    }
+
+    return data.result.message_id;
   } catch (error) {
     logger.error({ error }, 'Failed to send message');
+    return null;
   }
 }
 
@@ -11,22 +11,24 @@ const client = new Twilio(
 const FROM_NUMBER = process.env.TWILIO_PHONE_NUMBER;
 
 /**
- * Send an SMS message via Twilio
+ * Send an SMS message via Twilio.
+ * Passing mediaUrls (publicly fetchable URLs) sends it as an MMS.
  */
-export async function sendSMS(to, body) {
+export async function sendSMS(to, body, mediaUrls = []) {
   try {
     const message = await client.messages.create({
       body,
       from: FROM_NUMBER,
       to,
+      ...(mediaUrls.length > 0 && { mediaUrl: mediaUrls }),
       statusCallback: process.env.WEBHOOK_URL + '/status'
     });
 
-    logger.info({ sid: message.sid, to }, 'SMS sent successfully');
+    logger.info({ sid: message.sid, to, numMedia: mediaUrls.length }, 'SMS sent successfully');
     return { success: true, sid: message.sid };
   } catch (error) {
     logger.error({ error, to }, 'Failed to send SMS');
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code };
   }
 }
 